@@ -6,11 +6,14 @@
 
 /* eslint no-console: "off", no-sync:"off", consistent-this:"off" */
 
+import {EventEmitter} from 'events';
 import Log from 'simple-isomorphic-logger';
 import * as MEC from 'market-example-contingent';
 import * as MarketAgents from 'market-agents';
 import * as stats from 'stats-lite';
 import positiveNumberArray from 'positive-number-array';
+import Random from 'random-js';
+import configSchema from '../configSchema.json';
 
 /* 
  *  on the browser, the jspm package manager can be programmed to set the
@@ -19,6 +22,8 @@ import positiveNumberArray from 'positive-number-array';
  */
 
 import * as fs from 'fs'; // remember to override in jspm dep configuration to empty
+import * as os from 'os'; // remember to override in jspm dep configuration to empty
+import * as http from 'http'; // remember to override in jspm dep configuration to empty
 
 const Market = MEC.Market;
 const {Pool} = MarketAgents;
@@ -38,571 +43,3563 @@ function newAgentFactory(name, options){
 }
 
 /**
- * register new types of (customized) agents in AgentFactoryWarehouse for use in simulations
- * @param {Object} obj An object with agent type names for keys and constructor(options) functions for values 
+ * JSON Schema for an array of Simulation configurations, imported from configSchema.json.  
+ * The enums of buyerAgentType and sellerAgentType are extended by agentRegister() and are used to validate agent types.
+ * @type {Object}
+ */
+
+export {configSchema};
+
+const agentTypeEnums = [
+    configSchema.items.properties.buyerAgentType.items.enum,
+    configSchema.items.properties.sellerAgentType.items.enum
+];
+
+/**
+ * register new types of (customized) agents in AgentFactoryWarehouse for use in simulations.
+ * Each registered constructor or factory function is also added to the agent type enums of configSchema.
+ * @param {Object} obj An object with agent type names for keys and constructor(options) or factory(options) functions for values 
  */
 
 export function agentRegister(obj){ 
     Object.assign(AgentFactoryWarehouse, obj); 
+    Object.keys(obj).forEach(function(name){
+        if (typeof(obj[name])==='function'){
+            agentTypeEnums.forEach(function(agentTypeEnum){
+                if (!agentTypeEnum.includes(name))
+                    agentTypeEnum.push(name);
+            });
+        }
+    });
+}
+
+// register only the concrete trading agent classes exported by market-agents, skipping the base classes Agent and Trader, which cannot bid or ask, and other exports such as Pool
+
+agentRegister(
+    Object.keys(MarketAgents)
+        .filter((name)=>((typeof(MarketAgents[name])==='function') && (MarketAgents[name].prototype instanceof MarketAgents.Trader)))
+        .reduce((agents, name)=>(Object.assign(agents, {[name]: MarketAgents[name]})), {})
+);
+
+/**
+ * Human trader for realtime simulations.  A HumanAgent never wakes and has no pricing algorithm; 
+ * its bids and asks come from a person through Simulation.submitHumanOrder(agentId, order).
+ * Values and costs are distributed to HumanAgents in the normal way, along with the robots.
+ */
+
+export class HumanAgent extends MarketAgents.Trader {
+
+    /**
+     * @param {Object} [options] passed to Trader constructor()
+     */
+
+    constructor(options){
+        super(Object.assign({
+            description: 'Human trader, submits orders through Simulation.submitHumanOrder()',
+            nextWake(){
+                return undefined;
+            }
+        }, options));
+    }
+
+    /**
+     * does nothing, as a HumanAgent's orders come from Simulation.submitHumanOrder() and not from waking
+     */
+
+    sendBidsAndAsks(){
+        // no robot orders: the person trading as this agent submits them
+    }
+}
+
+/**
+ * Trading robot running in another process, connected through a Gateway.  A RemoteAgent wakes like the other robots, 
+ * but in asynchronous runs each wake is sent to the remote process, which may reply with a bid or an ask; in realtime runs the 
+ * remote process may send orders at any time during a period.  Values and costs are distributed to RemoteAgents in the normal way.
+ */
+
+export class RemoteAgent extends MarketAgents.Trader {
+
+    /**
+     * @param {Object} [options] passed to Trader constructor()
+     */
+
+    constructor(options){
+        super(Object.assign({
+            description: 'Remote trader, submits orders through a Gateway'
+        }, options));
+    }
+
+    /**
+     * does nothing, as a RemoteAgent's orders come from a Gateway
+     */
+
+    sendBidsAndAsks(){
+        // no local orders: the remote process replies to wake events through the Gateway
+    }
+}
+
+/**
+ * Zero-Intelligence Plus trader of Cliff (1997).  A ZIPAgent prices each bid and ask at a profit margin over the value or cost of its next unit, 
+ * and adapts the margin to the market: after each shout, fed to observe() by the Simulation, it moves its price toward a target just beyond the
+ * shout's price, raising its margin when its price would have traded and lowering it when it would not, at its learning rate and with momentum.
+ * Random numbers come from this.random, the Simulation's seeded generator when config.seed is set, or else Math.random.
+ */
+
+export class ZIPAgent extends MarketAgents.Trader {
+
+    /**
+     * @param {Object} [options] passed to Trader constructor()
+     * @param {number} [options.learningRate] fraction, from 0 to 1, of the distance to the target price moved by each adjustment; if omitted, drawn uniformly from 0.1 to 0.5
+     * @param {number} [options.momentum] weight, from 0 up to 1, of the previous adjustment in each new one; if omitted, drawn uniformly from 0 to 0.1
+     */
+
+    constructor(options){
+        super(Object.assign({
+            description: 'Cliff ZIP trader, adapting its profit margin to the shouts and trades in the market'
+        }, options));
+    }
+
+    /**
+     * draw any learning parameters not set in the options, and the initial margins: buy margins uniformly from -0.35 to -0.05, sell margins from 0.05 to 0.35
+     * @private
+     */
+
+    initMargins(){
+        const random = this.random || Math.random;
+        if (typeof(this.learningRate)!=='number')
+            this.learningRate = 0.1+0.4*random();
+        if (typeof(this.momentum)!=='number')
+            this.momentum = 0.1*random();
+        this.buyMargin = -(0.05+0.3*random());
+        this.sellMargin = 0.05+0.3*random();
+        this.buyChange = 0;
+        this.sellChange = 0;
+    }
+
+    /**
+     * bid at the buy margin below the value of the next unit
+     * @param {number} marginalValue the marginal value of redeeming the next unit
+     * @return {number|undefined} buy price, or undefined if below minPrice
+     */
+
+    bidPrice(marginalValue){
+        if (typeof(marginalValue)!=='number') return undefined;
+        if (this.buyMargin===undefined) this.initMargins();
+        this.buyLimit = marginalValue;
+        const p = marginalValue*(1+this.buyMargin);
+        const price = (this.integer)? Math.floor(p): p;
+        return ((price>=this.minPrice) && (price>0))? Math.min(price, this.maxPrice): undefined;
+    }
+
+    /**
+     * ask at the sell margin above the cost of the next unit
+     * @param {number} marginalCost the marginal cost of producing the next unit
+     * @return {number|undefined} sell price, or undefined if above maxPrice
+     */
+
+    askPrice(marginalCost){
+        if (typeof(marginalCost)!=='number') return undefined;
+        if (this.sellMargin===undefined) this.initMargins();
+        this.sellLimit = marginalCost;
+        const p = marginalCost*(1+this.sellMargin);
+        const price = (this.integer)? Math.ceil(p): p;
+        return (price<=this.maxPrice)? Math.max(price, this.minPrice): undefined;
+    }
+
+    /**
+     * move the margin on one side toward a target price beyond q, using the learning rate and momentum.  
+     * Buy margins stay from -1 to 0, and sell margins at 0 or above.
+     * @param {string} side 'buy' or 'sell'
+     * @param {number} q price of the shout, or of the trade if the shout traded
+     * @param {boolean} up true to raise the price, false to lower it
+     * @private
+     */
+
+    adjustMargin(side, q, up){
+        const random = this.random || Math.random;
+        const limit = this[side+'Limit'];
+        const relative = (up)? (1+0.05*random()): (1-0.05*random());
+        const absolute = (up)? (0.05*random()): (-0.05*random());
+        const target = relative*q+absolute;
+        const price = limit*(1+this[side+'Margin']);
+        const change = this.momentum*this[side+'Change']+(1-this.momentum)*this.learningRate*(target-price);
+        const margin = ((price+change)/limit)-1;
+        this[side+'Change'] = change;
+        this[side+'Margin'] = (side==='buy')? Math.min(0, Math.max(-1, margin)): Math.max(0, margin);
+    }
+
+    /**
+     * learn from a shout in the market, including the agent's own.  Only sides on which the agent has priced a unit and has units left are adjusted.
+     * @param {Object} shout shout, as fed by the Simulation after the market processes each order
+     * @param {string} shout.side 'buy' for a bid, 'sell' for an ask
+     * @param {number} shout.price price of the bid or ask
+     * @param {number} [shout.tradePrice] price of the last trade caused by the shout, undefined if it did not trade
+     */
+
+    observe({side, price, tradePrice}){
+        const traded = (tradePrice!==undefined);
+        const q = (traded)? tradePrice: price;
+        if ((this.sellLimit>0) && (this.unitCostFunction('X', this.inventory)>0)){
+            const p = this.sellLimit*(1+this.sellMargin);
+            if (traded && (p<=q))
+                this.adjustMargin('sell', q, true);
+            else if (((traded && (side==='buy')) || (!traded && (side==='sell'))) && (p>=q))
+                this.adjustMargin('sell', q, false);
+        }
+        if ((this.buyLimit>0) && (this.unitValueFunction('X', this.inventory)>0)){
+            const p = this.buyLimit*(1+this.buyMargin);
+            if (traded && (p>=q))
+                this.adjustMargin('buy', q, false);
+            else if (((traded && (side==='sell')) || (!traded && (side==='buy'))) && (p<=q))
+                this.adjustMargin('buy', q, true);
+        }
+    }
+}
+
+agentRegister({HumanAgent, RemoteAgent, ZIPAgent});
+
+/**
+ * test value against a JSON Schema type
+ * @param {any} value value to test
+ * @param {string} type JSON Schema type name
+ * @return {boolean} true if value is of type
+ * @private
+ */
+
+function isSchemaType(value, type){
+    switch(type){
+    case 'array': return Array.isArray(value);
+    case 'object': return (typeof(value)==='object') && (value!==null) && !(Array.isArray(value));
+    case 'number': return (typeof(value)==='number') && (isFinite(value));
+    case 'integer': return Number.isInteger(value);
+    default: return (typeof(value)===type);
+    }
+}
+
+/**
+ * find problems with a value according to the subset of JSON Schema used in configSchema.json: type, enum, minItems, items, required, properties
+ * @param {any} value value to check
+ * @param {Object} schema JSON Schema for value
+ * @param {string} path path to value, used in problem reports
+ * @return {string[]} list of problems, each prefixed by the path of the offending field
+ * @private
+ */
+
+function schemaProblems(value, schema, path){
+    const types = [].concat(schema.type || []);
+    if ((types.length>0) && !(types.some((type)=>(isSchemaType(value, type)))))
+        return [path+": expected "+types.join(" or ")+", got "+JSON.stringify(value)];
+    const problems = [];
+    if ((Array.isArray(schema.enum)) && !(schema.enum.includes(value)))
+        problems.push(path+": expected one of "+schema.enum.join(",")+", got "+JSON.stringify(value));
+    if (Array.isArray(value)){
+        if (value.length<schema.minItems)
+            problems.push(path+": expected at least "+schema.minItems+" item(s)");
+        if (schema.items)
+            value.forEach(function(item, i){ problems.push(...schemaProblems(item, schema.items, path+"["+i+"]")); });
+    }
+    if (isSchemaType(value, 'object')){
+        (schema.required || []).forEach(function(k){
+            if (value[k]===undefined)
+                problems.push(path+"."+k+": required");
+        });
+        Object.keys(schema.properties || {}).forEach(function(k){
+            if (value[k]!==undefined)
+                problems.push(...schemaProblems(value[k], schema.properties[k], path+"."+k));
+        });
+    }
+    return problems;
+}
+
+
+/**
+ * create a seeded pseudo-random number generator, so that a simulation can be reproduced exactly
+ * @param {number} seed integer seed for the Mersenne Twister engine from random-js
+ * @param {number} [useCount=0] number of engine outputs to skip, as previously reported by the generator's getUseCount(), to continue a sequence
+ * @return {function():number} generator of uniform random numbers on [0,1), with a getUseCount() function reporting the engine outputs used so far
+ */
+
+export function seededRandom(seed, useCount){
+    const engine = Random.engines.mt19937().seed(seed);
+    if (useCount)
+        engine.discard(useCount);
+    const real01 = Random.real(0, 1, false);
+    function random(){
+        return real01(engine);
+    }
+    random.getUseCount = function(){
+        return engine.getUseCount();
+    };
+    return random;
+}
+
+/**
+ * poisson wake function using the simulation's seeded generator in this.random.  Replaces market-agents poissonWake.
+ * @return {number|undefined} next wake time
+ * @private
+ */
+
+function seededPoissonWake(){
+    const delta = -Math.log(1-this.random())/this.rate;
+    const result = this.wakeTime+delta;
+    if (result>0)
+        return result;
+}
+
+/**
+ * seeded replacement for market-agents ZIAgent.bidPrice, drawing from this.random
+ * @param {number} marginalValue the marginal value of redeeming the next unit
+ * @return {number|undefined} randomized buy price on [minPrice, marginalValue] or undefined
+ * @private
+ */
+
+function seededZIBidPrice(marginalValue){
+    if (typeof(marginalValue)!=='number') return undefined;
+    let p;
+    if (marginalValue===this.minPrice) return marginalValue;
+    if (marginalValue<this.minPrice) return undefined;
+    if (this.integer){
+        do {
+            p = Math.floor(this.minPrice+this.random()*(marginalValue+1-this.minPrice));
+        } while (p>marginalValue);
+    } else {
+        p = this.minPrice+this.random()*(marginalValue-this.minPrice);
+    }
+    return p;
+}
+
+/**
+ * seeded replacement for market-agents ZIAgent.askPrice, drawing from this.random
+ * @param {number} marginalCost the marginal cost of producing the next unit
+ * @return {number|undefined} randomized sell price on [marginalCost, maxPrice] or undefined
+ * @private
+ */
+
+function seededZIAskPrice(marginalCost){
+    if (typeof(marginalCost)!=='number') return undefined;
+    let p;
+    if (marginalCost===this.maxPrice) return marginalCost;
+    if (marginalCost>this.maxPrice) return undefined;
+    if (this.integer){
+        do {
+            p = Math.floor(marginalCost+this.random()*(this.maxPrice+1-marginalCost));
+        } while (p>this.maxPrice);
+    } else {
+        p = marginalCost+this.random()*(this.maxPrice-marginalCost);
+    }
+    return p;
+}
+
+/**
+ * seeded replacement for market-agents UnitAgent.randomDelta, drawing from this.random
+ * @return {number} a uniform random number on [-1,1); or, if this.integer is set, picked randomly from the set {-1,0,1}
+ * @private
+ */
+
+function seededRandomDelta(){
+    return (this.integer)? (Math.floor(3*this.random())-1): (2*this.random()-1);
+}
+
+/**
+ * seeded replacement for market-agents UnitAgent.bidPrice.  Falls back to seeded ZI pricing when there is no previous trade.
+ * @param {number} marginalValue the marginal value of redeeming the next unit
+ * @param {Object} market The market for which a bid is being prepared.
+ * @return {number|undefined} buy price or undefined
+ * @private
+ */
+
+function seededUnitBidPrice(marginalValue, market){
+    if (typeof(marginalValue)!=='number') return undefined;
+    const previous = market.lastTradePrice();
+    const p = (previous)? (previous+this.randomDelta()): seededZIBidPrice.call(this, marginalValue);
+    if ((p>marginalValue) || (p>this.maxPrice) || (p<this.minPrice)) return undefined;
+    return (p && this.integer)? Math.floor(p): p;
+}
+
+/**
+ * seeded replacement for market-agents UnitAgent.askPrice.  Falls back to seeded ZI pricing when there is no previous trade.
+ * @param {number} marginalCost the marginal cost of producing the next unit
+ * @param {Object} market The market for which an ask is being prepared.
+ * @return {number|undefined} sell price or undefined
+ * @private
+ */
+
+function seededUnitAskPrice(marginalCost, market){
+    if (typeof(marginalCost)!=='number') return undefined;
+    const previous = market.lastTradePrice();
+    const p = (previous)? (previous+this.randomDelta()): seededZIAskPrice.call(this, marginalCost);
+    if ((p<marginalCost) || (p>this.maxPrice) || (p<this.minPrice)) return undefined;
+    return (p && this.integer)? Math.floor(p): p;
+}
+
+/**
+ * replace an agent's methods with seeded versions, only where the agent still has the methods of agentClass, and not a subclass's own
+ * @param {Object} A agent
+ * @param {function} agentClass market-agents class whose methods are replaced, e.g. MarketAgents.ZIAgent
+ * @param {Object} seeded seeded replacement functions, keyed by method name
+ * @private
+ */
+
+function seedMethods(A, agentClass, seeded){
+    Object.keys(seeded).forEach(function(method){
+        if (A[method]===agentClass.prototype[method])
+            A[method] = seeded[method];
+    });
+}
+
+/**
+ * total value to an agent of redeeming q more units of X, beginning at inventory level x.  Units without a configured value are worth 0.
+ * @param {Object} agent agent with unitValueFunction
+ * @param {number} x inventory level of X before the units are acquired
+ * @param {number} q number of units
+ * @return {number} sum of the marginal values of the q units
+ * @private
+ */
+
+function totalUnitValue(agent, x, q){
+    let total = 0;
+    for(let k=0;k<q;++k)
+        total += (agent.unitValueFunction('X', {X: x+k}) || 0);
+    return total;
+}
+
+/**
+ * total cost to an agent of producing q more units of X, beginning at inventory level x.  Units without a configured cost cost 0.
+ * @param {Object} agent agent with unitCostFunction
+ * @param {number} x inventory level of X before the units are sold
+ * @param {number} q number of units
+ * @return {number} sum of the marginal costs of the q units
+ * @private
+ */
+
+function totalUnitCost(agent, x, q){
+    let total = 0;
+    for(let k=0;k<q;++k)
+        total += (agent.unitCostFunction('X', {X: x-k}) || 0);
+    return total;
+}
+
+const orderHeader = ['period','t','tp','id','x','q','buyLimitPrice','value','sellLimitPrice','cost'];
+
+export const logHeaders = {
+    // fundamentalValue is blank without config.dividends, see Simulation.fundamentalValue()
+    ohlc:  ['period','open','high','low','close','volume','median','mean','sd','fundamentalValue'],
+    buyorder:  orderHeader,
+    sellorder: orderHeader,
+    // reason is the rejectReasons code for the rejection
+    rejectbuyorder: orderHeader.concat(['reason']),
+    rejectsellorder: orderHeader.concat(['reason']),
+    // each trade log row is one fill of q units at price; buyerValue and sellerCost are totals over the q units; 
+    // buyerProfit and sellerProfit are before the taxes of config.tax, buyerNetProfit and sellerNetProfit after them
+    trade: ['period','t','tp','price','q','buyerAgentId','buyerValue','buyerProfit','sellerAgentId','sellerCost','sellerProfit','buyerTax','sellerTax','buyerNetProfit','sellerNetProfit'],
+    // efficiencyOfAllocation counts the tax collected as surplus; netEfficiencyOfAllocation counts only the traders' profits after tax
+    effalloc: ['period','efficiencyOfAllocation','netEfficiencyOfAllocation','tax'],
+    // one profit log row per agent per period; profit is after tax, grossProfit before it
+    profit: ['period','agentId','role','agentType','profit','unitsTraded','grossProfit','tax'],
+    // one typeprofit log row per role and agent type per period, see Simulation.profitByAgentType()
+    typeprofit: ['period','role','agentType','agents','profit','profitPerAgent','unitsTraded','unitsPerAgent','surplusShare'],
+    // one roster log row per agent each time values or costs are distributed: at period 0, and whenever config.schedules changes them
+    roster: ['period','agentId','role','agentType','rate','values','costs'],
+    // alpha is Smith's coefficient of convergence, 100*RMS deviation of unit trade prices from the midpoint of the equilibrium price range, divided by that midpoint
+    equilibrium: ['period','equilibriumPriceLow','equilibriumPriceHigh','equilibriumQuantity','volume','volumeDeviation','alpha','fractionInRange'],
+    // one book log row after each order is processed; depth is the total units in the buy or sell book
+    book: ['period','t','tp','id','bid','ask','spread','midpoint','bidDepth','askDepth'],
+    // every config.bookSnapshotEvery orders, one booksnapshot row for each of the top config.bookSnapshotLevels price levels of each book
+    booksnapshot: ['period','t','tp','side','level','price','q','orders'],
+    // one pricecontrol row per period for each of config.priceCeiling and config.priceFloor, with the quantities demanded and supplied at the control price
+    pricecontrol: ['period','control','price','quantityDemanded','quantitySupplied','excessDemand','volume'],
+    // one holdings row per agent per period, at the end of the period, see Simulation.agentWealth()
+    holdings: ['period','agentId','role','agentType','X','money','wealth'],
+    // one bubble row per period with config.dividends; RAD and RD are over the periods so far with trades, see Simulation.bubbleRow()
+    bubble: ['period','fundamentalValue','dividend','meanPrice','volume','turnover','RAD','RD']
+};
+
+/**
+ * reason codes of the reject order logs: 
+ * ceiling for a price above config.priceCeiling, floor for a price below config.priceFloor, tick for a price off config.tickSize, 
+ * and market for rejections by xMarket's own rules, such as buyImprove and sellImprove
+ * @type {string[]}
+ */
+
+export const rejectReasons = ['ceiling','floor','tick','market'];
+
+/**
+ * names of built-in log sinks for config.logSinks: csv files, JSON Lines files, in-memory columns, or csv files streamed with a tail in memory
+ * @type {string[]}
+ */
+
+export const logSinkTypes = ['csv','jsonl','columns','stream'];
+
+export const logNames = ['trade','buyorder','sellorder','rejectbuyorder','rejectsellorder','profit','ohlc','effalloc','equilibrium','roster','typeprofit','book','booksnapshot','pricecontrol','holdings','bubble'];
+
+/**
+ * logs kept by default only when the configuration uses the feature they report on; any of them is also kept when named in config.logs
+ * @private
+ */
+
+const optionalLogs = {
+    book: ()=>(false),
+    booksnapshot: (config)=>(config.bookSnapshotEvery>0),
+    pricecontrol: (config)=>((config.priceCeiling!==undefined) || (config.priceFloor!==undefined)),
+    holdings: (config)=>(!!(config.carryInventory || config.buyerEndowment || config.sellerEndowment)),
+    bubble: (config)=>(!!config.dividends)
+};
+
+/**
+ * validate a Simulation configuration against configSchema, including agent types registered with agentRegister() and names in config.logs
+ * @param {Object} config Simulation configuration
+ * @return {string[]} list of all problems found, each prefixed by the path of the offending field, e.g. "config.buyerAgentType[1]: expected one of ..."; empty if config is valid
+ */
+
+export function validateConfig(config){
+    if (!(isSchemaType(config, 'object')))
+        return ["config: expected object, got "+JSON.stringify(config)];
+    const schema = (config && config.carryInventory)? Object.assign({}, configSchema.items, {required: configSchema.items.required.filter((k)=>(!(['buyerValues','sellerCosts'].includes(k))))}): configSchema.items;
+    const problems = schemaProblems(config, schema, "config");
+    if (Array.isArray(config.logs)){
+        config.logs.forEach(function(name, i){
+            if (!logNames.includes(name))
+                problems.push("config.logs["+i+"]: expected one of "+logNames.join(",")+", got "+JSON.stringify(name));
+        });
+    }
+    if (isSchemaType(config.logSinks, 'object')){
+        Object.keys(config.logSinks).forEach(function(name){
+            const sink = config.logSinks[name];
+            if ((name!=='default') && !(logNames.includes(name)))
+                problems.push("config.logSinks."+name+": expected a log name or default");
+            if (!(logSinkTypes.includes(sink)) && !(sink && (typeof(sink.write)==='function')))
+                problems.push("config.logSinks."+name+": expected one of "+logSinkTypes.join(",")+" or an object with a write function, got "+JSON.stringify(sink));
+        });
+    }
+    if (isSchemaType(config.tax, 'object')){
+        if (config.tax.fixed<0)
+            problems.push("config.tax.fixed: expected a number not less than 0, got "+JSON.stringify(config.tax.fixed));
+        if ((config.tax.proportional<0) || (config.tax.proportional>=1))
+            problems.push("config.tax.proportional: expected a number from 0 up to, but not including, 1, got "+JSON.stringify(config.tax.proportional));
+    }
+    if (config.priceFloor>=config.priceCeiling)
+        problems.push("config.priceFloor: expected less than config.priceCeiling "+config.priceCeiling+", got "+config.priceFloor);
+    if (config.tickSize<=0)
+        problems.push("config.tickSize: expected a positive number, got "+JSON.stringify(config.tickSize));
+    if (isSchemaType(config.zip, 'object')){
+        if ((config.zip.learningRate<=0) || (config.zip.learningRate>1))
+            problems.push("config.zip.learningRate: expected a number greater than 0 and at most 1, got "+JSON.stringify(config.zip.learningRate));
+        if ((config.zip.momentum<0) || (config.zip.momentum>=1))
+            problems.push("config.zip.momentum: expected a number from 0 up to, but not including, 1, got "+JSON.stringify(config.zip.momentum));
+    }
+    if (config.dividends && !(config.carryInventory))
+        problems.push("config.carryInventory: expected true with config.dividends");
+    if (config.dividends && !(config.periods>0))
+        problems.push("config.periods: required with config.dividends");
+    if (config.carryInventory && !(config.buyerValues) && !(config.numberOfBuyers))
+        problems.push("config.numberOfBuyers: required without config.buyerValues");
+    if (config.carryInventory && !(config.sellerCosts) && !(config.numberOfSellers))
+        problems.push("config.numberOfSellers: required without config.sellerCosts");
+    return problems;
+}
+
+/**
+ * Log writing each row as a JSON object keyed by the header, one per line, to a .jsonl file in nodejs, or to memory like Log.
+ * The header itself is not written as a row.
+ */
+
+export class JSONLinesLog extends Log {
+
+    /**
+     * stringifies data as one line of JSON, using the header for keys when data is an array
+     * @param {Array|number|string} x data to write
+     * @return {string} JSON line
+     */
+
+    stringify(x){
+        const header = this.header;
+        if (Array.isArray(x) && Array.isArray(header)){
+            const obj = {};
+            header.forEach(function(k,i){ obj[k] = x[i]; });
+            return JSON.stringify(obj)+"\n";
+        }
+        return JSON.stringify(x)+"\n";
+    }
+
+    /**
+     * sets header, used for the keys of each JSON line, without writing it
+     * @param {string[]} x Header array giving names of columns for future writes
+     * @return {Object} Returns this Log; chainable
+     */
+
+    setHeader(x){
+        if (Array.isArray(x))
+            this.header = x;
+        return this;
+    }
+}
+
+/**
+ * Log keeping rows in memory as columns, one per header field, for fast numeric analysis of large logs.
+ * Columns are Float64Array while every value is a number, with blanks stored as NaN, and switch to plain arrays when a string is written.
+ */
+
+export class ColumnLog extends Log {
+
+    /**
+     * Create empty in-memory ColumnLog.  Never uses the file system.
+     */
+
+    constructor(){
+        super(undefined, false);
+        delete this.data;
+
+        /**
+         * number of rows written, excluding the header
+         * @type {number} this.length
+         */
+
+        this.length = 0;
+        this.columnData = [];
+    }
+
+    /**
+     * sets header row and creates one empty column for each field.  The header is not counted as a row.
+     * @param {string[]} x Header array giving names of columns for future writes
+     * @return {Object} Returns this Log; chainable
+     */
+
+    setHeader(x){
+        if (Array.isArray(x)){
+            this.header = x;
+            this.columnData = x.map(()=>(new Float64Array(1024)));
+        }
+        return this;
+    }
+
+    /**
+     * appends a row to the columns and sets .last
+     * @param {Array} x row to write, in header order
+     * @return {Object} returns ColumnLog object, chainable
+     * @throws {Error} if x is not an array or the header has not been set
+     */
+
+    write(x){
+        if (x===undefined) return;
+        if (!(Array.isArray(x)) || !(Array.isArray(this.header)))
+            throw new Error("ColumnLog.write: expected an array row after setHeader, got: "+JSON.stringify(x));
+        const row = this.length;
+        this.last = x;
+        this.columnData = this.columnData.map(function(col, i){
+            const v = x[i];
+            let c = col;
+            const blank = ((v===undefined) || (v===''));
+            if ((c instanceof Float64Array) && !blank && (typeof(v)!=='number'))
+                c = Array.from(c.subarray(0, row));
+            if ((c instanceof Float64Array) && (row===c.length)){
+                c = new Float64Array(2*c.length);
+                c.set(col);
+            }
+            c[row] = ((c instanceof Float64Array) && blank)? NaN: v;
+            return c;
+        });
+        this.length = row+1;
+        return this;
+    }
+
+    /**
+     * get the columns written so far
+     * @return {Object} columns keyed by header field, each a Float64Array or an array of length this.length
+     */
+
+    columns(){
+        const length = this.length;
+        const result = {};
+        this.header.forEach((k,i)=>{ result[k] = this.columnData[i].slice(0, length); });
+        return result;
+    }
+
+    /**
+     * get the rows written so far, with NaN blanks as empty strings
+     * @return {Array<Array>} rows in header order, excluding the header
+     */
+
+    rows(){
+        const cols = this.columnData;
+        function blank(v){
+            return ((typeof(v)==='number') && isNaN(v))? '': v;
+        }
+        const result = [];
+        for(let r=0;r<this.length;++r)
+            result.push(cols.map((c)=>(blank(c[r]))));
+        return result;
+    }
+
+    /**
+     * get the ColumnLog as csv text, header first, with NaN blanks written as empty fields
+     * @return {string} csv text
+     */
+
+    toString(){
+        const rows = [this.header].concat(this.rows());
+        return rows.map((row)=>(this.stringify(row))).join('');
+    }
+}
+
+/**
+ * Log streaming csv rows to a file in nodejs, in buffered writes, while keeping only the most recent rows in memory, for very long runs.
+ * .last, and therefore lastByKey(), always reflect the last row written.
+ */
+
+export class StreamLog extends Log {
+
+    /**
+     * Create StreamLog writing to a file
+     * @param {string} fname file name
+     * @param {number} [tail=100] number of most recent rows to keep in .data
+     * @param {boolean} [append] true to append to an existing file, false to start a new file
+     */
+
+    constructor(fname, tail, append){
+        super(undefined, false);
+        this.fname = fname;
+        this.fd = fs.openSync(fname, (append)? 'a': 'w');
+        this.tail = (tail>=0)? tail: 100;
+
+        /**
+         * stringified rows not yet written to the file
+         * @type {string[]} this.buffer
+         */
+
+        this.buffer = [];
+    }
+
+    /**
+     * buffers data for the file, keeps it in the tail, and sets .last.  Writes the buffer to the file every 1000 rows.
+     * @param {Array|number|string} x data to write
+     * @return {Object} returns StreamLog object, chainable
+     */
+
+    write(x){
+        if (x===undefined) return;
+        this.last = x;
+        this.buffer.push(this.stringify(x));
+        this.data.push(x);
+        if (this.data.length>this.tail)
+            this.data.shift();
+        if (this.buffer.length>=1000)
+            this.flush();
+        return this;
+    }
+
+    /**
+     * write buffered rows to the file. called automatically at the end of each period
+     * @return {Object} returns StreamLog object, chainable
+     */
+
+    flush(){
+        if (this.buffer.length>0){
+            fs.appendFileSync(this.fd, this.buffer.join(''));
+            this.buffer = [];
+        }
+        return this;
+    }
+
+    /**
+     * get the complete log by reading the file, after writing buffered rows
+     * @return {string} csv text
+     */
+
+    toString(){
+        this.flush();
+        return fs.readFileSync(this.fname, {encoding:'utf8'});
+    }
+
+    /**
+     * write buffered rows to the file and close it.  toString() still reads the file afterwards.  Safe to call more than once.
+     * @return {Object} returns StreamLog object, chainable
+     */
+
+    close(){
+        if (this.fd!==undefined){
+            this.flush();
+            fs.closeSync(this.fd);
+            delete this.fd;
+        }
+        return this;
+    }
+}
+
+/**
+ * Log forwarding rows to a user-supplied sink object, while keeping .last for lastByKey().
+ * The sink must have a write(row, name) function, and may have a setHeader(header, name) function.
+ */
+
+export class SinkLog extends Log {
+
+    /**
+     * Create SinkLog for one named log
+     * @param {Object} sink user-supplied object with write(row, name) and optional setHeader(header, name)
+     * @param {string} name name of the log, e.g. trade, passed to the sink
+     */
+
+    constructor(sink, name){
+        super(undefined, false);
+        delete this.data;
+        this.sink = sink;
+        this.name = name;
+    }
+
+    /**
+     * sets header and passes it to sink.setHeader, if defined
+     * @param {string[]} x Header array giving names of columns for future writes
+     * @return {Object} Returns this Log; chainable
+     */
+
+    setHeader(x){
+        if (Array.isArray(x)){
+            this.header = x;
+            if (typeof(this.sink.setHeader)==='function')
+                this.sink.setHeader(x, this.name);
+        }
+        return this;
+    }
+
+    /**
+     * passes data to sink.write and sets .last
+     * @param {Array|number|string} x data to write
+     * @return {Object} returns SinkLog object, chainable
+     */
+
+    write(x){
+        if (x===undefined) return;
+        this.last = x;
+        this.sink.write(x, this.name);
+        return this;
+    }
+}
+
+/**
+ * describe a Log's position for a checkpoint: the file name and size for logs on the file system, otherwise the rows in memory
+ * @param {Object} log Log, JSONLinesLog, ColumnLog or SinkLog
+ * @return {Object} {last, fname, size} or {last, data}; only {last} for a SinkLog, whose rows belong to the sink
+ * @private
+ */
+
+function logState(log){
+    const state = {last: log.last};
+    if (log instanceof StreamLog){
+        log.flush();
+        state.fname = log.fname;
+        state.size = fs.statSync(log.fname).size;
+        state.data = log.data;
+    } else if (log.useFS){
+        state.fname = log.fname;
+        state.size = fs.statSync(log.fname).size;
+    } else if (log instanceof ColumnLog){
+        state.data = log.rows();
+    } else if (Array.isArray(log.data)){
+        state.data = log.data;
+    }
+    return state;
+}
+
+/**
+ * copy an agent's own data properties for a checkpoint, omitting functions, event listeners, and markets
+ * @param {Object} A agent
+ * @return {Object} agent state, e.g. {id, inventory, values, costs, wakeTime, rate, period, ...}
+ * @private
+ */
+
+function agentState(A){
+    const state = {};
+    Object.keys(A).forEach(function(k){
+        if ((k.charAt(0)!=='_') && (k!=='markets') && (typeof(A[k])!=='function'))
+            state[k] = A[k];
+    });
+    return state;
+}
+
+/**
+ * convert a log row to an object keyed by the log's header
+ * @param {string[]} header log header, from logHeaders
+ * @param {Array} row log row
+ * @return {Object|undefined} object with header fields as keys, or undefined if row is undefined
+ * @private
+ */
+
+function rowObject(header, row){
+    if (!row) return undefined;
+    const obj = {};
+    header.forEach(function(k,i){ obj[k] = row[i]; });
+    return obj;
+}
+
+/**
+ * close the file descriptor of a Log writing to the file system, or a StreamLog.  Logs kept in memory are unaffected.  Safe to call more than once.
+ * @param {Object} log Log to close
+ * @private
+ */
+
+function closeLog(log){
+    if (log instanceof StreamLog)
+        log.close();
+    else if (log.useFS && (log.fd!==undefined)){
+        fs.closeSync(log.fd);
+        delete log.fd;
+    }
+}
+
+/**
+ * reopen the file of a Log closed by closeLog(), for appending.  Logs that are open or kept in memory are unaffected.
+ * @param {Object} log Log to reopen
+ * @private
+ */
+
+function openLog(log){
+    if (((log instanceof StreamLog) || log.useFS) && (log.fd===undefined))
+        log.fd = fs.openSync(log.fname, 'a');
+}
+
+/**
+ * single-market-robot-simulation Simulation 
+ * @emits {periodStart(period)} at the start of each period, after agents are initialized for the period
+ * @emits {order(order)} for each order submitted to the market, as {period, t, id, q, buyPrice, sellPrice, ...} from MEC.ao()
+ * @emits {reject(order)} for each order rejected by the market, as for order
+ * @emits {trade(fill)} for each fill of a trade, with the fields of the trade log, including buyerProfit and sellerProfit
+ * @emits {periodEnd(stats)} at the end of each period, with the fields of periodStats and ohlc as an object with the fields of the ohlc log, undefined if there were no trades
+ * @emits {pause(sim)} when pause() is called on a running simulation
+ * @emits {resume(sim)} when resume() is called on a paused simulation
+ * @emits {done(sim)} when run() or replay() completes, or run() is cancelled; see .status
+ */
+
+export class Simulation extends EventEmitter {
+    
+    /**
+     * Create Simulation with given configuration
+     * @param {Object} config
+     * @param {number} config.periods number of periods in this simulation
+     * @param {number} config.periodDuration duration of each period
+     * @param {string[]} config.buyerAgentType string array (choose from "ZIAgent","UnitAgent","OneupmanshipAgent","KaplanSniperAgent" or types registered with agentRegister()) giving a rotation of types of agents to use when creating the buyer agents.
+     * @param {string[]} config.sellerAgentType string array (choose from "ZIAgent","UnitAgent","OneupmanshipAgent","KaplanSniperAgent" or types registered with agentRegister()) giving a rotation of types of agents to use when creating the seller agents.
+     * @param {number[]} [config.buyerRate=1.0] poisson arrival rate in wakes/sec for each buyer agent, defaults to 1.0 for all agents
+     * @param {number[]} [config.sellerRate=1.0] poisson arrival rate in wakes/sec for each seller agent, defaults to 1.0 for all agents
+     * @param {number[]} config.buyerValues Numeric array giving aggregate market demand for X. Becomes agents' values for units. Each period a new set of these values is distributed among buyer agents.  Optional with config.carryInventory.
+     * @param {number[]} config.sellerCosts Numeric array giving aggregate market supply for X. Becomes agents' costs for units.  Each period a new set of these costs is distributed among seller agents.  Optional with config.carryInventory.
+     * @param {Object[]} [config.schedules] market shocks: list of {fromPeriod, buyerValues, sellerCosts}. Beginning with period fromPeriod, the given buyerValues and/or sellerCosts replace the previous ones.
+     * @param {number} [config.numberOfBuyers] number of buyers; if unprovided, assigns 1 buyer per entry in .buyerValues
+     * @param {number} [config.numberOfSellers] number of sellers; if unprovided, assigns 1 seller per entry in .sellerCosts
+     * @param {Object} config.xMarket configuration options for x Market forwarded to market-example-contingent constructor
+     * @param {boolean} [config.integer] Set true if agent prices should be integers. Sent to agent constructor. Used by some random agents, such as ZIAgent.
+     * @param {boolean} [config.ignoreBudgetConstraint] Set true if agents should ignore their values/costs and pretend they have maximum value or minimum cost.  Sent to agent constructors.
+     * @param {boolean} [config.keepPreviousOrders] Set true if agents should not set cancelReplace flag on orders
+     * @param {number} config.L Minimum suggested agent price.  Sets .minPrice in agent constructor options
+     * @param {number} config.H Maximum suggested agent price.  Sets .maxPrice in agent constructor options
+     * @param {boolean} [config.silent] If true, suppress console.log messages providing total number of agents, etc.
+     * @param {boolean} [config.withoutOrderLogs] If true, suppresses buyorderlog and sellorderlog
+     * @param {string[]} [config.logs] If set and not empty, only these logs from logNames are kept.  Otherwise all are kept except book, and booksnapshot, pricecontrol, 
+     * holdings and bubble unless config.bookSnapshotEvery, config.priceCeiling or config.priceFloor, config.carryInventory or an endowment, or config.dividends is set
+     * @param {boolean} [config.journal] If true, records agent wakes and orders in this.journal, for replay()
+     * @param {Object} [config.logSinks] output of each log, keyed by log name or default: "csv", "jsonl", "columns", "stream", or a sink object with write(row, name) and optional setHeader(header, name)
+     * @param {number} [config.logTail=100] number of most recent rows kept in memory by "stream" logs
+     * @param {number} [config.bookSnapshotEvery] If positive, writes the top price levels of the order books to the booksnapshot log after every Nth order of a period
+     * @param {number} [config.bookSnapshotLevels=5] number of price levels of each book in a book snapshot
+     * @param {Object} [config.tax] tax or fee charged on each unit traded, as config.tax.fixed plus config.tax.proportional times the price, 
+     * paid by config.tax.payer: "buyer", "seller", or "both", each paying the full amount.  Robots' budget constraints allow for the tax.
+     * @param {number} [config.tickSize] If set, order prices must be multiples of tickSize
+     * @param {string} [config.tickRule="round"] "round" rounds buy prices down and sell prices up to the tick; "reject" rejects orders with prices off the tick
+     * @param {number} [config.priceCeiling] If set, the market rejects orders to buy or sell at prices above the ceiling
+     * @param {number} [config.priceFloor] If set, the market rejects orders to buy or sell at prices below the floor
+     * @param {boolean} [config.carryInventory] If true, agents keep their X and money from one period to the next, instead of restarting from their endowments, 
+     * and units are not redeemed or produced at the end of each period.  buyerValues and sellerCosts become optional.
+     * @param {Object|Object[]} [config.buyerEndowment] starting inventory {X, money} of each buyer, or a rotation of them, defaults to 0 of each
+     * @param {Object|Object[]} [config.sellerEndowment] starting inventory {X, money} of each seller, or a rotation of them, defaults to 0 of each
+     * @param {number[]} [config.dividends] With config.carryInventory, makes X an asset that pays a dividend on each unit held at the end of each period, 
+     * drawn with equal probability from this list, and expires after config.periods.  Agents without values or costs value units at the fundamental value.
+     * @param {Object} [config.zip] learning parameters of ZIPAgent traders, {learningRate, momentum}; each omitted parameter is drawn at random for each agent
+     * @param {string} [config.logDir="."] directory for log files, when logging to the file system
+     * @param {number} [config.seed] If set, seeds a generator that drives all random wake times and ZIAgent/UnitAgent prices, so that runs with the same config and seed produce identical logs. Realtime runs are paced by the wall clock and are not reproducible.
+     * @param {Object} [checkpoint] state to restore, see Simulation.resume()
+     * @throws {Error} if config fails validateConfig(); the list of problems is in the error's .problems property
+     */
+
+    constructor(config, checkpoint){
+
+        super();
+
+        const problems = validateConfig(config);
+        if (problems.length>0){
+            const e = new Error("single-market-robot-simulation: invalid config\n"+problems.join("\n"));
+            e.problems = problems;
+            throw e;
+        }
+
+        /**
+         * copy of config as passed to constructor
+         * @type {Object} this.config
+         */
+
+        this.config = config;
+
+        /**
+         * seeded generator of uniform random numbers on [0,1), or undefined when config.seed is not set
+         * @type {function():number} this.random
+         */
+
+        if (config.seed!==undefined)
+            this.random = seededRandom(config.seed, checkpoint && checkpoint.randomUseCount);
+
+        /**
+         * journal of agent wakes {event:'wake', period, t, id}, orders submitted to xMarket {event:'order', period, id, order}, 
+         * and dividends {event:'dividend', period, dividend}, in the order they happened, or undefined when config.journal is not set.  See replay().
+         * @type {Object[]} this.journal
+         */
+
+        if (config.journal)
+            this.journal = (checkpoint && checkpoint.journal) || [];
+
+        this.initLogs(checkpoint && checkpoint.logs);
+        this.initMarket();
+        this.initAgents();
+        if (!checkpoint)
+            this.logRoster(this.pool, 0);
+
+        /**
+         * current period number when running simulation
+         * @type {number} this.period
+         */
+        
+        this.period = 0;
+
+        /**
+         * trade prices for current period
+         * @type {number[]} this.periodTradePrices
+         */
+        
+        this.periodTradePrices = [];    
+
+        /**
+         * units bought or sold by each agent in current period, by agent id
+         * @type {Object} this.periodUnitsTraded
+         */
+
+        this.periodUnitsTraded = {};
+
+        /**
+         * tax paid by each agent in current period, by agent id
+         * @type {Object} this.periodTaxPaid
+         */
+
+        this.periodTaxPaid = {};
+
+        /**
+         * number of orders processed by xMarket in the current period, for config.bookSnapshotEvery, see logBook()
+         * @type {number} this.periodOrderCount
+         */
+
+        this.periodOrderCount = 0;
+
+        /**
+         * the ohlc log fields, as an object, of the last period with trades, kept whether or not the ohlc log is, for KaplanSniperAgent
+         * @type {Object|undefined} this.lastOHLC
+         */
+
+        this.lastOHLC = undefined;
+
+        /**
+         * wealth of each agent at the start of the current period, by agent id, see agentWealth()
+         * @type {Object} this.periodStartWealth
+         */
+
+        this.periodStartWealth = {};
+
+        /**
+         * last period whose dividend has been paid, with config.dividends
+         * @type {number} this.lastDividendPeriod
+         */
+
+        this.lastDividendPeriod = 0;
+
+        /**
+         * 'ready' before run(), then 'running', 'paused', and finally 'done', or 'cancelled' if run() was cancelled with an AbortSignal
+         * @type {string} this.status
+         */
+
+        this.status = 'ready';
+
+        /**
+         * per-period results kept in memory, even when logging to the file system, for summaries across replications
+         * @type {Object[]} this.periodStats array of {period, efficiencyOfAllocation, volume, close, mean, typeProfit}, where typeProfit is from profitByAgentType()
+         */
+
+        this.periodStats = [];
+
+        if (checkpoint)
+            this.restore(checkpoint);
+
+        /* istanbul ignore if */
+
+        if (!this.config.silent){
+            console.log("duration of each period = "+this.periodDuration);
+            console.log(" ");
+            console.log("Number of Buyers  = "+this.numberOfBuyers);
+            console.log("Number of Sellers = "+this.numberOfSellers);
+            console.log("Total Number of Agents  = "+this.numberOfAgents);
+            console.log(" ");
+            console.log("minPrice = "+this.config.L);
+            console.log("maxPrice = "+this.config.H);
+        }
+    }
+
+    /**
+     * initialize simulation data logging. 
+     * called automatically by constructor
+     * @param {Object} [resumeLogs] log positions from a checkpoint, keyed by log name, to continue those logs instead of starting new ones
+     * @private
+     */
+    
+    initLogs(resumeLogs){
+        const sim = this;
+        sim.logs = {};
+        const withoutOrderLogs = logNames.filter(function(s){ return !(s.includes('order'));});
+        const requestedLogs = (sim.config.withoutOrderLogs)? withoutOrderLogs: logNames;
+        const defaultLogs = requestedLogs.filter((s)=>(!(optionalLogs[s]) || optionalLogs[s](sim.config)));
+        const actualLogs = (Array.isArray(sim.config.logs) && (sim.config.logs.length>0))? requestedLogs.filter((s)=>(sim.config.logs.includes(s))): defaultLogs;
+        const sinks = sim.config.logSinks || {};
+        actualLogs.forEach(function(name){
+            const sink = sinks[name] || sinks.default || 'csv';
+            sim.logs[name] = (resumeLogs && resumeLogs[name])? sim.resumeLog(name, sink, resumeLogs[name]): sim.newLog(name, sink);
+        });
+    }
+
+    /**
+     * continue a log from its position in a checkpoint, without rewriting the header.  
+     * A log on the file system is truncated to its size at the checkpoint, dropping rows written after it, and appended to.
+     * called by initLogs()
+     * @param {string} name name of log, from logNames
+     * @param {string|Object} sink one of logSinkTypes, or a user-supplied sink object for SinkLog
+     * @param {Object} state log position from checkpoint()
+     * @return {Object} Log, JSONLinesLog, ColumnLog, StreamLog or SinkLog
+     * @private
+     */
+
+    resumeLog(name, sink, state){
+        const header = logHeaders[name];
+        let log;
+        if (sink==='columns'){
+            log = new ColumnLog().setHeader(header);
+            (state.data || []).forEach((row)=>(log.write(row)));
+        } else if (sink==='stream'){
+            fs.truncateSync(state.fname, state.size);
+            log = new StreamLog(state.fname, this.config.logTail, true);
+            log.data = (state.data || []).slice();
+        } else if (sink && (typeof(sink)==='object')){
+            log = new SinkLog(sink, name);
+        } else {
+            log = (sink==='jsonl')? new JSONLinesLog(undefined, false): new Log(undefined, false);
+            if (state.fname){
+                fs.truncateSync(state.fname, state.size);
+                delete log.data;
+                log.useFS = true;
+                log.fname = state.fname;
+                log.fd = fs.openSync(state.fname, 'a');
+            } else {
+                log.data = (state.data || []).slice();
+            }
+        }
+        log.header = header;
+        log.last = state.last;
+        return log;
+    }
+
+    /**
+     * create a Log for a named log according to its configured sink, in config.logDir 
+     * called by initLogs() for each log
+     * @param {string} name name of log, from logNames
+     * @param {string|Object} sink one of logSinkTypes, or a user-supplied sink object for SinkLog
+     * @return {Object} Log, JSONLinesLog, ColumnLog, StreamLog or SinkLog with header set from logHeaders
+     * @private
+     */
+
+    newLog(name, sink){
+        const logDir = this.config.logDir || ".";
+        const logToFS = this.config.logToFileSystem;
+        let log;
+        if (sink==='jsonl')
+            log = new JSONLinesLog(logDir+"/"+name+".jsonl", logToFS);
+        else if (sink==='columns')
+            log = new ColumnLog();
+        else if (sink==='stream')
+            log = new StreamLog(logDir+"/"+name+".csv", this.config.logTail);
+        else if (sink && (typeof(sink)==='object'))
+            log = new SinkLog(sink, name);
+        else
+            log = new Log(logDir+"/"+name+".csv", logToFS);
+        return log.setHeader(logHeaders[name]);
+    }
+
+    /**
+     * close the files of all logs written to the file system, when no more rows will be written until openLogs().  
+     * called automatically when run() or replay() finishes or run() is cancelled
+     * @return {Object} returns this simulation, chainable
+     */
+
+    closeLogs(){
+        const logs = this.logs;
+        Object.keys(logs).forEach((name)=>(closeLog(logs[name])));
+        return this;
+    }
+
+    /**
+     * reopen the files of logs closed by closeLogs(), appending to them.
+     * called automatically when run() or replay() starts, so a finished simulation can continue, e.g. after raising config.periods
+     * @return {Object} returns this simulation, chainable
+     */
+
+    openLogs(){
+        const logs = this.logs;
+        Object.keys(logs).forEach((name)=>(openLog(logs[name])));
+        return this;
+    }
+
+    /** 
+     * Initalize single market for trading X in Simulation
+     * called by constructor
+     * @private
+     */
+
+    initMarket(){
+        const sim = this;
+        const xDefaults = {
+            goods: "X",
+            money: "money"
+        };
+        sim.xMarket = new Market(Object.assign({}, xDefaults, sim.config.xMarket));
+
+        /**
+         * agents with an observe(shout) method, such as ZIPAgent, fed each shout in the market, see teachAgent()
+         * @type {Object[]} this.learners
+         */
+
+        sim.learners = [];
+        sim.xMarket.on('trade', function(tradespec){ 
+            sim.logTrade(tradespec);
+            sim.pool.trade(tradespec);
+            sim.shoutTradePrice = tradespec.prices[tradespec.prices.length-1];
+        });
+        sim.xMarket.on('before-order', function(myorder, reject){
+            sim.applyTickSize(myorder, reject);
+            sim.applyPriceControls(myorder, reject);
+        });
+        sim.xMarket.on('preorder', function(myorder){
+            delete sim.shoutTradePrice;
+            if (!sim.config.withoutOrderLogs)
+                sim.logOrder('',myorder);
+            if (sim.listenerCount('order')>0)
+                sim.emit('order', Object.assign({period: sim.period}, MEC.ao(myorder)));
+        });
+        sim.xMarket.on('reject', function(myorder){
+            const reason = sim.rejectReason || 'market';
+            delete sim.rejectReason;
+            if (!sim.config.withoutOrderLogs)
+                sim.logOrder('reject',myorder,reason);
+            if (sim.listenerCount('reject')>0)
+                sim.emit('reject', Object.assign({period: sim.period, reason}, MEC.ao(myorder)));
+        });
+        // attached after the Market's own order listener, so the books reflect any trades caused by the order
+        sim.xMarket.on('order', function(myorder){
+            sim.logBook(myorder);
+            sim.teachShout(myorder);
+        });
+    }
+
+    /**
+     * feed a shout, a bid or an ask just processed by xMarket, to each of the learners, with the price of the last trade it caused, if any.  
+     * Orders with both or neither of a buy and sell price are not shouts.
+     * @param {number[]} myorder the order processed, in the market's active list format
+     * @private
+     */
+
+    teachShout(myorder){
+        const sim = this;
+        if (sim.learners.length===0) return;
+        const o = sim.xMarket.o;
+        const bid = myorder[o.bpCol], ask = myorder[o.spCol];
+        if ((bid>0)===(ask>0)) return;
+        const shout = (bid>0)? {side:'buy', price: bid, tradePrice: sim.shoutTradePrice}: {side:'sell', price: ask, tradePrice: sim.shoutTradePrice};
+        sim.learners.forEach((A)=>(A.observe(shout)));
+    }
+    
+    /**
+     * round the prices of an order to config.tickSize, buy prices down and sell prices up, or reject the order if config.tickRule is "reject".  
+     * Orders whose buy price rounds down to 0 are rejected.  Called for each order by the xMarket before-order event.
+     * @param {number[]} myorder order in the market's active list format, modified in place
+     * @param {function(Object)} reject market function to reject myorder
+     * @private
+     */
+
+    applyTickSize(myorder, reject){
+        const sim = this;
+        const tick = sim.config.tickSize;
+        if (!(tick>0) || !(myorder[0])) return;
+        const o = sim.xMarket.o;
+        const rejectOffTick = (sim.config.tickRule==='reject');
+        [[o.bpCol, Math.floor], [o.spCol, Math.ceil]].forEach(function([col, roundToTick]){
+            const price = myorder[col];
+            if (!(price>0)) return;
+            const ticks = price/tick;
+            if (Math.abs(ticks-Math.round(ticks))<1e-9) return;
+            const rounded = parseFloat((roundToTick(ticks)*tick).toPrecision(12));
+            if (rejectOffTick || !(rounded>0)){
+                sim.rejectReason = 'tick';
+                reject(myorder);
+            } else {
+                myorder[col] = rounded;
+            }
+        });
+    }
+
+    /**
+     * reject an order with a buy or sell price above config.priceCeiling or below config.priceFloor.  
+     * Called for each order by the xMarket before-order event, after applyTickSize(), so prices are checked after rounding to the tick, 
+     * and orders already rejected keep their reason, e.g. tick.
+     * @param {number[]} myorder order in the market's active list format
+     * @param {function(Object)} reject market function to reject myorder
+     * @private
+     */
+
+    applyPriceControls(myorder, reject){
+        const sim = this;
+        const {priceCeiling, priceFloor} = sim.config;
+        if (((priceCeiling===undefined) && (priceFloor===undefined)) || !(myorder[0]) || sim.rejectReason) return;
+        const o = sim.xMarket.o;
+        const prices = [myorder[o.bpCol], myorder[o.spCol]].filter((price)=>(price>0));
+        if (prices.some((price)=>(price>priceCeiling)))
+            sim.rejectReason = 'ceiling';
+        else if (prices.some((price)=>(price<priceFloor)))
+            sim.rejectReason = 'floor';
+        else
+            return;
+        reject(myorder);
+    }
+
+    /**
+     * quantities demanded and supplied at a price, from the buyerValues and sellerCosts in effect.  
+     * Buyers demand the units with values at or above the price, and sellers supply the units with costs at or below it.
+     * @param {number} price price
+     * @return {Object} {quantityDemanded, quantitySupplied, excessDemand}, where excessDemand is negative for excess supply
+     */
+
+    quantitiesAtPrice(price){
+        const quantityDemanded = (this.buyerValues || []).filter((v)=>(v>=price)).length;
+        const quantitySupplied = (this.sellerCosts || []).filter((c)=>(c<=price)).length;
+        return {quantityDemanded, quantitySupplied, excessDemand: quantityDemanded-quantitySupplied};
+    }
+
+    /**
+     * tax owed by a buyer or seller on a fill, according to config.tax
+     * @param {string} role "buyer" or "seller"
+     * @param {number} price price per unit
+     * @param {number} q number of units
+     * @return {number} tax owed, 0 if there is no config.tax or it is not paid by role
+     */
+
+    taxOn(role, price, q){
+        const tax = this.config.tax;
+        if (!(tax) || ((tax.payer!==role) && (tax.payer!=='both')))
+            return 0;
+        return q*((tax.fixed || 0)+(tax.proportional || 0)*price);
+    }
+
+    /**
+     * highest price a buyer can pay for a unit worth value without a loss after config.tax
+     * @param {number} value value of the unit
+     * @return {number} price at which value equals price plus the buyer's tax
+     */
+
+    reservationBuyPrice(value){
+        const fixed = this.taxOn('buyer', 0, 1);
+        const proportional = this.taxOn('buyer', 1, 1)-fixed;
+        return (value-fixed)/(1+proportional);
+    }
+
+    /**
+     * lowest price a seller can accept for a unit costing cost without a loss after config.tax
+     * @param {number} cost cost of the unit
+     * @return {number} price at which price less the seller's tax equals cost
+     */
+
+    reservationSellPrice(cost){
+        const fixed = this.taxOn('seller', 0, 1);
+        const proportional = this.taxOn('seller', 1, 1)-fixed;
+        return (cost+fixed)/(1-proportional);
+    }
+
+    /**
+     * Initialize agents in simulation
+     * called by constructor
+     * @private
+     */
+
+    initAgents(){
+        const sim = this;
+        const config = sim.config;
+        sim.pool = new Pool();
+        sim.buyersPool = new Pool();
+        sim.sellersPool = new Pool();
+        sim.numberOfBuyers  = config.numberOfBuyers  || (config.buyerValues || []).length;
+        sim.numberOfSellers = config.numberOfSellers || (config.sellerCosts || []).length;
+        config.buyerRate  = positiveNumberArray(config.buyerRate) || [1];
+        config.sellerRate = positiveNumberArray(config.sellerRate) || [1];  
+        if ( (!sim.numberOfBuyers) || (!sim.numberOfSellers) )
+            throw new Error("single-market-robot-simulation: can not determine numberOfBuyers and/or numberOfSellers ");
+        sim.numberOfAgents = sim.numberOfBuyers+sim.numberOfSellers;
+        const common = {
+            integer: config.integer,
+            ignoreBudgetConstraint: config.ignoreBudgetConstraint,
+            period: {number:0, equalDuration:true, duration:(config.periodDuration || 1000)},
+            minPrice: config.L,
+            maxPrice: config.H
+        };
+        if (config.zip)
+            Object.assign(common, {learningRate: config.zip.learningRate, momentum: config.zip.momentum});
+        sim.periodDuration = common.period.duration;
+        for(let i=0,l=sim.numberOfBuyers;i<l;++i){
+            const a = sim.newBuyerAgent(i, common);
+            sim.buyersPool.push(a);
+            sim.pool.push(a);
+        }
+        for(let i=0,l=sim.numberOfSellers;i<l;++i){
+            const a = sim.newSellerAgent(i, common);
+            sim.sellersPool.push(a);
+            sim.pool.push(a);
+        }
+
+        /**
+         * aggregate buyer values in effect for the current period, see scheduleForPeriod()
+         * @type {number[]} this.buyerValues
+         */
+
+        sim.buyerValues = config.buyerValues;
+
+        /**
+         * aggregate seller costs in effect for the current period, see scheduleForPeriod()
+         * @type {number[]} this.sellerCosts
+         */
+
+        sim.sellerCosts = config.sellerCosts;
+        if (sim.buyerValues)
+            sim.buyersPool.distribute('values','X',sim.buyerValues);
+        if (sim.sellerCosts)
+            sim.sellersPool.distribute('costs','X',sim.sellerCosts);
+    }
+
+    /**
+     * starting inventory of a buyer or seller from config.buyerEndowment or config.sellerEndowment, and the period initializer that restores it.
+     * Without config.carryInventory each period restarts from the endowment; with it, the endowment is only the starting point of the first period.
+     * @param {string} role 'buyer' or 'seller'
+     * @param {number} i counter for agents of the role 0,1,2,...
+     * @param {Object} period common period settings for agents
+     * @return {Object} {inventory, period} settings for the agent constructor
+     * @private
+     */
+
+    endowmentSettings(role, i, period){
+        const endowments = [].concat(this.config[role+'Endowment'] || {});
+        const endowment = endowments[i%endowments.length];
+        const inventory = {X: endowment.X || 0, money: endowment.money || 0};
+        const init = (this.config.carryInventory)? {}: {inventory: Object.assign({}, inventory)};
+        return {inventory, period: Object.assign({}, period, {init})};
+    }
+
+    /**
+     * Create a new Buyer agent for the simulation, with .role 'buyer' and .agentType from config.buyerAgentType
+     * called by initAgents() for each buyer
+     * @param {number} i counter for agents 0,1,2,...
+     * @param {Object} common Settings to send to agent constructor
+     * @private
+     */
+
+    newBuyerAgent(i, common){
+        const sim = this;
+        const lType = sim.config.buyerAgentType.length;
+        const lRate = sim.config.buyerRate.length;
+        const a = newAgentFactory(
+            sim.config.buyerAgentType[i%lType],
+            Object.assign({}, common, sim.endowmentSettings('buyer', i, common.period), {
+                id: 1+i,
+                rate: sim.config.buyerRate[i%lRate],
+                role: 'buyer',
+                agentType: sim.config.buyerAgentType[i%lType]
+            })
+        );
+        sim.teachAgent(a);
+        return a;
+    }
+
+    /**
+     * Create a new Seller agent for the simulation, with .role 'seller' and .agentType from config.sellerAgentType
+     * called by initAgents() for each seller
+     * @param {number} i counter for agents 0,1,2,...
+     * @param {Object} common Settings to send to agent constructor
+     * @private
+     */
+
+    newSellerAgent(i, common){
+        const sim = this;
+        const lType = sim.config.sellerAgentType.length;
+        const lRate = sim.config.sellerRate.length;
+        const a = newAgentFactory(
+            sim.config.sellerAgentType[i%lType],
+            Object.assign({}, common, sim.endowmentSettings('seller', i, common.period), {
+                id: 1+sim.numberOfBuyers+i,
+                rate: sim.config.sellerRate[i%lRate],
+                role: 'seller',
+                agentType: sim.config.sellerAgentType[i%lType]
+            })
+        );
+        sim.teachAgent(a);
+        return a;
+    }
+
+    /**
+     * teach an agent tasks such as how to send buy and sell orders to market, how to find "Juicy" price for KaplanSniperAgent, etc.
+     * called for each agent in newBuyerAgent() or newSellerAgent()
+     * @param {Object} A a new agent that needs to learn the task methods
+     * @private
+     */
+     
+
+    teachAgent(A) { 
+        const sim = this;
+
+        /* bid and ask take an optional third parameter q, the number of units to buy or sell, defaulting to 1 */
+
+        A.bid = function(market, price, q){
+            const order = MEC.oa({
+                t: this.wakeTime,
+                id: this.id,
+                cancel: !sim.config.keepPreviousOrders,
+                q: (q || 1),
+                buyPrice: price
+            });
+            if (market.goods === 'X'){
+                sim.journalOrder(order);
+                market.submit(order);
+                while(market.process()){} // eslint-disable-line no-empty
+            }
+        };
+
+        A.ask = function(market, price, q){
+            const order = MEC.oa({
+                t: this.wakeTime,
+                id: this.id,
+                cancel: !sim.config.keepPreviousOrders,
+                q: (q || 1),
+                sellPrice: price
+            });
+            if (market.goods === 'X'){
+                sim.journalOrder(order);
+                market.submit(order);
+                while(market.process());
+            }
+        };
+
+        A.markets = [sim.xMarket];
+
+        if (typeof(A.observe)==='function')
+            sim.learners.push(A);
+
+        A.on('pre-period', function(){
+            sim.periodStartWealth[A.id] = sim.agentWealth(A);
+        });
+
+        if (sim.config.carryInventory){
+            // shadow Agent.prototype.produce and .redeem, which endPeriod() skips when they are not functions, so X is carried to the next period
+            A.produce = undefined;
+            A.redeem = undefined;
+        }
+
+        if (sim.config.dividends){
+            // agents without values or costs value each unit of X at its fundamental value, in profits and wealth, and can only sell units they hold
+            const unitValueFunction = A.unitValueFunction;
+            const unitCostFunction = A.unitCostFunction;
+            A.unitValueFunction = function(good, hypotheticalInventory){
+                if ((good==='X') && !(Array.isArray(this.values.X)))
+                    return sim.fundamentalValue();
+                return unitValueFunction.call(this, good, hypotheticalInventory);
+            };
+            A.unitCostFunction = function(good, hypotheticalInventory){
+                if ((good==='X') && !(Array.isArray(this.costs.X)))
+                    return (hypotheticalInventory.X>=1)? sim.fundamentalValue(): undefined;
+                return unitCostFunction.call(this, good, hypotheticalInventory);
+            };
+        }
+
+        if (sim.journal){
+            const wake = A.wake;
+            A.wake = function(info){
+                sim.journal.push({event:'wake', period: sim.period, t: this.wakeTime, id: this.id});
+                return wake.call(this, info);
+            };
+        }
+
+        if (sim.random){
+            A.random = sim.random;
+            // replace only market-agents' own random methods, so that a seed does not change the strategy of a subclass, or HumanAgent's nextWake.
+            // market-agents does not export poissonWake, the default nextWake, so it is recognized by name
+            if ((typeof(A.nextWake)==='function') && (A.nextWake.name==='poissonWake'))
+                A.nextWake = seededPoissonWake;
+            seedMethods(A, MarketAgents.UnitAgent, {randomDelta: seededRandomDelta, bidPrice: seededUnitBidPrice, askPrice: seededUnitAskPrice});
+            seedMethods(A, MarketAgents.ZIAgent, {bidPrice: seededZIBidPrice, askPrice: seededZIAskPrice});
+        }
+
+        if (sim.config.tax && !(A.ignoreBudgetConstraint)){
+            const bidPrice = A.bidPrice;
+            const askPrice = A.askPrice;
+            A.bidPrice = function(marginalValue, market){
+                return bidPrice.call(this, sim.reservationBuyPrice(marginalValue), market);
+            };
+            A.askPrice = function(marginalCost, market){
+                return askPrice.call(this, sim.reservationSellPrice(marginalCost), market);
+            };
+        }
+
+        if (sim.config.dividends && !(A.ignoreBudgetConstraint)){
+            // robots without values or costs trade the asset within their budgets: bids up to their money on hand, less any tax, and asks from config.L for units held
+            const bidPrice = A.bidPrice;
+            const askPrice = A.askPrice;
+            A.bidPrice = function(marginalValue, market){
+                if (Array.isArray(this.values.X))
+                    return bidPrice.call(this, marginalValue, market);
+                const budget = Math.min(this.inventory.money || 0, this.maxPrice);
+                if (!(sim.reservationBuyPrice(budget)>=this.minPrice))
+                    return undefined;
+                return bidPrice.call(this, budget, market);
+            };
+            A.askPrice = function(marginalCost, market){
+                if (Array.isArray(this.costs.X))
+                    return askPrice.call(this, marginalCost, market);
+                return askPrice.call(this, this.minPrice, market);
+            };
+        }
+
+        if (A instanceof MarketAgents.KaplanSniperAgent){
+            // from simulation state rather than the ohlc log, so that the choice of logs does not change the market
+            A.getJuicyBidPrice = function(){
+                if (sim.lastOHLC)
+                    return sim.lastOHLC.high;
+            };
+            A.getJuicyAskPrice = function(){
+                if (sim.lastOHLC)
+                    return sim.lastOHLC.low;
+            };
+        }
+    }
+
+    /**
+     * runs a periods of the simulation
+     * @param {boolean} sync true indicates call is synchronous, return value will be simulation object; false indicates async, return value is Promise
+     * @param {Object} [signal] AbortSignal; in realtime mode, or with a Gateway, aborting ends the period early, without end-of-period logging
+     * @return {Promise<Object,Error>} Resolves to simulation object when one period of simulation is complete.
+     */
+
+    runPeriod(sync, signal){
+        const sim=this;
+        function atEndOfPeriod(){
+            sim.pool.endPeriod();
+            sim.payDividends();
+            sim.logPeriod();
+            return sim;
+        }
+        sim.period++;
+
+        /* istanbul ignore if */
+
+        if (!sim.config.silent)
+            console.log("period: "+sim.period);
+        
+        sim.applySchedule();
+        sim.pool.initPeriod(sim.period);
+        sim.xMarket.clear();
+        sim.periodOrderCount = 0;
+        sim.emit('periodStart', sim.period);
+        
+        if (sync){
+            sim.pool.syncRun(sim.pool.endTime());
+            return (atEndOfPeriod());
+        }
+        if ((!(sim.config.realtime)) && (sim.gateway)){
+            return (sim
+                    .gateway
+                    .runPool(sim.pool.endTime(), signal)
+                    .then(function(){
+                        return (signal && signal.aborted)? sim: atEndOfPeriod();
+                    })
+                   );
+        }
+        if (!(sim.config.realtime)){
+            return (sim
+                    .pool
+                    .runAsPromise(sim.pool.endTime(),10)
+                    .then(atEndOfPeriod)
+                   );
+        }           
+        return new Promise(function(resolve,reject){
+            function onRealtimeWake(endTime){
+                if (!endTime)
+                    return reject("period endTime required for onRealtimeWake, got: "+endTime);
+                return function(){
+                    if (signal && signal.aborted){
+                        clearInterval(sim.realtimeIntervalId);
+                        delete sim.realtimeIntervalId;
+                        return resolve(sim);
+                    }
+                    if (sim.status==='paused')
+                        return undefined;
+                    const now = (Date.now()/1000.0)-sim.realtime;
+                    if (now>=endTime){
+                        clearInterval(sim.realtimeIntervalId);
+                        delete sim.realtimeIntervalId;
+                        sim.pool.syncRun(endTime);
+                        return resolve(atEndOfPeriod());
+                    } 
+                    sim.pool.syncRun(now);
+                };
+            }
+            
+            if (sim.realtimeIntervalId){
+                clearInterval(sim.realtimeIntervalId);
+                return reject("sim has unexpected realtimeIntervalId");
+            }
+
+            /* adjust realtime offset */
+            
+            sim.realtime = (Date.now()/1000.0)-(sim.pool.agents[0].period.startTime);
+            
+            /* run asynchronously, and in realtime, endTime() is called immediately and onRealtimeWake(...) returns actual handler function */
+            
+            sim.realtimeIntervalId = setInterval(onRealtimeWake(sim.pool.endTime()), 40);
+                    
+        });     
+    }
+
+    /**
+     * find the supply and demand schedule in effect for a period: config.buyerValues and config.sellerCosts, 
+     * as replaced by config.schedules entries with fromPeriod<=period, applied in order of fromPeriod
+     * @param {number} period period number
+     * @return {Object} {buyerValues, sellerCosts} in effect for period
+     */
+
+    scheduleForPeriod(period){
+        const config = this.config;
+        const result = {buyerValues: config.buyerValues, sellerCosts: config.sellerCosts};
+        if (Array.isArray(config.schedules)){
+            (config
+             .schedules
+             .filter((entry)=>(entry.fromPeriod<=period))
+             .sort((a,b)=>(a.fromPeriod-b.fromPeriod))
+             .forEach(function(entry){
+                 if (entry.buyerValues) result.buyerValues = entry.buyerValues;
+                 if (entry.sellerCosts) result.sellerCosts = entry.sellerCosts;
+             })
+            );
+        }
+        return result;
+    }
+
+    /**
+     * at the start of a period, redistribute buyer values and/or seller costs to agents if the schedule in effect has changed.
+     * With config.carryInventory, also recompute the maximum possible gains from trade from the units remaining at the start of the period.
+     * called automatically by runPeriod()
+     * @private
+     */
+
+    applySchedule(){
+        const sim = this;
+        const schedule = sim.scheduleForPeriod(sim.period);
+        if (schedule.buyerValues!==sim.buyerValues){
+            sim.buyerValues = schedule.buyerValues;
+            sim.buyersPool.distribute('values','X',sim.buyerValues);
+            sim.logRoster(sim.buyersPool, sim.period);
+            delete sim.maximumPossibleGainsFromTrade;
+            delete sim.competitiveEquilibrium;
+        }
+        if (schedule.sellerCosts!==sim.sellerCosts){
+            sim.sellerCosts = schedule.sellerCosts;
+            sim.sellersPool.distribute('costs','X',sim.sellerCosts);
+            sim.logRoster(sim.sellersPool, sim.period);
+            delete sim.maximumPossibleGainsFromTrade;
+            delete sim.competitiveEquilibrium;
+        }
+        if (sim.config.carryInventory){
+            sim.periodUnitsRemaining = sim.unitsRemaining();
+            delete sim.maximumPossibleGainsFromTrade;
+            delete sim.competitiveEquilibrium;
+        }
+    }
+
+    /**
+     * log the id, role, type, rate and assigned values or costs of each agent in a pool to the roster log.
+     * values and costs are written space separated, to keep one agent per csv row
+     * @param {Object} pool Pool of agents, e.g. sim.pool, sim.buyersPool or sim.sellersPool
+     * @param {number} period period number from which the values or costs apply, 0 for the initial distribution
+     * @private
+     */
+
+    logRoster(pool, period){
+        const sim = this;
+        if (!sim.logs.roster) return;
+        function units(table){
+            return (table && Array.isArray(table.X))? table.X.join(' '): '';
+        }
+        pool.agents.forEach(function(A){
+            sim.logs.roster.write([period, A.id, A.role, A.agentType, A.rate, units(A.values), units(A.costs)]);
+        });
+    }
+
+    /** 
+     * Calculate simple maxGainsFromTrade() from the buyerValues and sellerCosts in effect for the current period
+     * by sorting buyers' units high value first, and sellers' costs low value first, and adding profitable pairs
+     * Slice and sort first to be robust against values/costs being unsorted. 
+     * The result is cached until the schedule changes. 
+     * This is currently used only for logging purposes.  No market or agent behavior should typically depend on this function. 
+     * With config.carryInventory, the values and costs are those of the units remaining at the start of the period, see unitSchedules().
+     * @private
+     */
+
+    getMaximumPossibleGainsFromTrade(){
+        const sim = this;
+        if (sim.maximumPossibleGainsFromTrade!==undefined) return sim.maximumPossibleGainsFromTrade;
+        const {buyerValues, sellerCosts} = sim.unitSchedules();
+        let result = 0;
+        if (Array.isArray(buyerValues) && Array.isArray(sellerCosts)){
+            const buyerV = buyerValues.slice().sort(function(a,b){ return +b-a; });
+            const sellerC = sellerCosts.slice().sort(function(a,b){ return +a-b;});
+            let i = 0;
+            let l = Math.min(buyerV.length,sellerC.length);
+            while ((i<l) && (buyerV[i]>sellerC[i])){
+                result += (buyerV[i]-sellerC[i]);
+                ++i;
+            }
+        }
+        sim.maximumPossibleGainsFromTrade = result;
+        return result;
+    }
+
+    /**
+     * the values of the units buyers can still redeem, and the costs of the units sellers can still produce, given the X each agent holds now.
+     * With config.carryInventory, a buyer holding x units has already bought the units of its first x values, and a seller short x units
+     * has already sold the units of its first x costs.  Agents without configured values or costs add no units.
+     * @return {Object} {buyerValues, sellerCosts} arrays of the remaining unit values and costs, unsorted
+     * @private
+     */
+
+    unitsRemaining(){
+        const buyerValues = [];
+        const sellerCosts = [];
+        this.pool.agents.forEach(function(A){
+            const x = A.inventory.X || 0;
+            if (Array.isArray(A.values.X) && (x>=0))
+                buyerValues.push(...A.values.X.slice(x));
+            if (Array.isArray(A.costs.X) && (x<=0))
+                sellerCosts.push(...A.costs.X.slice(-x));
+        });
+        return {buyerValues, sellerCosts};
+    }
+
+    /**
+     * the values and costs that maximum gains from trade and the competitive equilibrium are measured against: the buyerValues and sellerCosts 
+     * in effect for the current period, or with config.carryInventory, the units remaining at the start of the period, as recorded by applySchedule()
+     * @return {Object} {buyerValues, sellerCosts}
+     * @private
+     */
+
+    unitSchedules(){
+        const sim = this;
+        if (!(sim.config.carryInventory))
+            return {buyerValues: sim.buyerValues, sellerCosts: sim.sellerCosts};
+        return sim.periodUnitsRemaining || sim.unitsRemaining();
+    }
+
+    /**
+     * Calculate the theoretical competitive equilibrium from the buyerValues and sellerCosts in effect for the current period, 
+     * or with config.carryInventory, from the units remaining at the start of the period, as for getMaximumPossibleGainsFromTrade().
+     * The equilibrium quantity is the number of profitable pairs counted by getMaximumPossibleGainsFromTrade(), and the price range
+     * is the set of prices where exactly that many units are demanded and supplied, bounded by the marginal traded and excluded units.
+     * The result is cached until the schedule changes, or with config.carryInventory, until the next period.
+     * @return {Object|undefined} {priceLow, priceHigh, quantity}, or undefined if there are no buyerValues or no sellerCosts
+     */
+
+    getCompetitiveEquilibrium(){
+        const sim = this;
+        if (sim.competitiveEquilibrium) return sim.competitiveEquilibrium;
+        const {buyerValues, sellerCosts} = sim.unitSchedules();
+        if (!(Array.isArray(buyerValues) && Array.isArray(sellerCosts) && (buyerValues.length>0) && (sellerCosts.length>0)))
+            return undefined;
+        const buyerV = buyerValues.slice().sort(function(a,b){ return +b-a; });
+        const sellerC = sellerCosts.slice().sort(function(a,b){ return +a-b;});
+        const l = Math.min(buyerV.length,sellerC.length);
+        let q = 0;
+        while ((q<l) && (buyerV[q]>sellerC[q])) ++q;
+        // at most one of each pair of bounds is undefined, at the ends of the lists; Math.max/min would turn it into NaN
+        function bounds(arr){
+            return arr.filter((v)=>(v!==undefined));
+        }
+        const priceLow = Math.max(...bounds([sellerC[q-1], buyerV[q]]));
+        const priceHigh = Math.min(...bounds([buyerV[q-1], sellerC[q]]));
+        sim.competitiveEquilibrium = {priceLow, priceHigh, quantity: q};
+        return sim.competitiveEquilibrium;
+    }
+
+    /**
+     * Calculate convergence of this period's trading to competitive equilibrium
+     * @param {number[]} prices unit trade prices for the period
+     * @return {Array|undefined} equilibrium log row, or undefined if there is no competitive equilibrium.  alpha and fractionInRange are blank if there were no trades.
+     * @private
+     */
+
+    equilibriumRow(prices){
+        const sim = this;
+        const ce = sim.getCompetitiveEquilibrium();
+        if (!ce) return undefined;
+        const volume = prices.length;
+        const midpoint = (ce.priceLow+ce.priceHigh)/2;
+        let alpha = '', fractionInRange = '';
+        if (volume>0){
+            const rms = Math.sqrt(stats.mean(prices.map((p)=>((p-midpoint)*(p-midpoint)))));
+            alpha = (midpoint>0)? (100*rms/midpoint): '';
+            fractionInRange = prices.filter((p)=>((p>=ce.priceLow) && (p<=ce.priceHigh))).length/volume;
+        }
+        return [sim.period, ce.priceLow, ce.priceHigh, ce.quantity, volume, volume-ce.quantity, alpha, fractionInRange];
+    }
+                
+
+    /**
+     * Aggregate the current period's profits and units traded by role and agent type, normalized by the number of agents of each type.
+     * Profits are from agentProfit(), so call at the end of a period, as logPeriod() does, or from a run() update function.
+     * Profits are after any config.tax.  surplusShare is the percentage of the maximum possible gains from trade captured by the group; 
+     * over all groups it sums to the netEfficiencyOfAllocation of the effalloc log, equal to the efficiencyOfAllocation when there is no tax.
+     * @return {Object[]} array of {role, agentType, agents, profit, profitPerAgent, unitsTraded, unitsPerAgent, surplusShare}, buyer types first, in order of first appearance.  surplusShare is undefined when no gains from trade are possible.
+     */
+
+    profitByAgentType(){
+        const sim = this;
+        const maxPossible = sim.getMaximumPossibleGainsFromTrade();
+        const groups = [];
+        const byKey = {};
+        sim.pool.agents.forEach(function(A){
+            const key = A.role+"/"+A.agentType;
+            if (!byKey[key]){
+                byKey[key] = {role: A.role, agentType: A.agentType, agents: 0, profit: 0, unitsTraded: 0};
+                groups.push(byKey[key]);
+            }
+            byKey[key].agents += 1;
+            byKey[key].profit += sim.agentProfit(A);
+            byKey[key].unitsTraded += (sim.periodUnitsTraded[A.id] || 0);
+        });
+        groups.forEach(function(group){
+            group.profitPerAgent = group.profit/group.agents;
+            group.unitsPerAgent = group.unitsTraded/group.agents;
+            group.surplusShare = (maxPossible>0)? (100*group.profit/maxPossible): undefined;
+        });
+        return groups;
+    }
+
+    /**
+     * fundamental value of a unit of X with config.dividends: the expected value of its remaining dividends, 
+     * the mean of config.dividends times the number of dividends left to pay through config.periods
+     * @param {number} [period] value at the start of this period; if omitted, the value now, before the next dividend
+     * @return {number|undefined} fundamental value, 0 once the asset expires, or undefined without config.dividends
+     */
+
+    fundamentalValue(period){
+        const {dividends, periods} = this.config;
+        if (!Array.isArray(dividends)) return undefined;
+        const t = (period===undefined)? (this.lastDividendPeriod+1): period;
+        return stats.mean(dividends)*Math.max(0, periods-t+1);
+    }
+
+    /**
+     * at the end of a period with config.dividends, pay a dividend on each unit of X held, drawn with equal probability from config.dividends.
+     * No dividend is paid after config.periods, when the asset has expired.
+     * called automatically by runPeriod() and replay()
+     * @param {number} [dividend] dividend to pay instead of a random draw, e.g. from a journal
+     * @private
+     */
+
+    payDividends(dividend){
+        const sim = this;
+        const dividends = sim.config.dividends;
+        if (!Array.isArray(dividends)) return;
+        sim.lastDividendPeriod = sim.period;
+        if (sim.period>sim.config.periods) return;
+        const d = (dividend===undefined)? dividends[Math.floor((sim.random || Math.random)()*dividends.length)]: dividend;
+        if (sim.journal)
+            sim.journal.push({event:'dividend', period: sim.period, dividend: d});
+        sim.pool.agents.forEach(function(A){
+            if (A.inventory.X)
+                A.transfer({money: A.inventory.X*d}, {isDividend: 1});
+        });
+
+        /**
+         * dividend paid at the end of the current period, with config.dividends
+         * @type {number} this.periodDividend
+         */
+
+        sim.periodDividend = d;
+    }
+
+    /**
+     * Calculate the bubble measures of the asset market for the current period with config.dividends. 
+     * turnover is the volume over the units of X outstanding.  RAD, the relative absolute deviation, and RD, the relative deviation,
+     * of Stöckl, Huber and Kirchler (2010) average |meanPrice-fundamentalValue| and meanPrice-fundamentalValue over the periods so far with trades,
+     * relative to the average fundamental value of those periods.
+     * @param {number[]} prices unit trade prices for the period
+     * @return {Array} bubble log row; meanPrice, turnover, RAD and RD are blank when undefined
+     * @private
+     */
+
+    bubbleRow(prices){
+        const sim = this;
+        const volume = prices.length;
+        const fundamentalValue = sim.fundamentalValue(sim.period);
+        const meanPrice = (volume>0)? stats.mean(prices): '';
+        const units = sim.pool.agents.reduce((total, A)=>(total+Math.max(0, A.inventory.X || 0)), 0);
+        const traded = (sim
+                        .periodStats
+                        .filter((stat)=>(stat.mean!==undefined))
+                        .map((stat)=>([stat.mean, sim.fundamentalValue(stat.period)]))
+                        .concat((volume>0)? [[meanPrice, fundamentalValue]]: [])
+                       );
+        const averageValue = Math.abs(stats.mean(traded.map(([, value])=>(value))));
+        const relative = (traded.length>0) && (averageValue>0);
+        return [
+            sim.period,
+            fundamentalValue,
+            (sim.periodDividend===undefined)? '': sim.periodDividend,
+            meanPrice,
+            volume,
+            (units>0)? (volume/units): '',
+            (relative)? (stats.mean(traded.map(([price, value])=>(Math.abs(price-value))))/averageValue): '',
+            (relative)? (stats.mean(traded.map(([price, value])=>(price-value)))/averageValue): ''
+        ];
+    }
+
+    /**
+     * an agent's wealth: its money, plus the value of the units of X it holds at its unit values, less the cost of the units it has sold 
+     * at its unit costs and not yet produced.  Units without a configured value or cost count as 0.  Without config.carryInventory, 
+     * X is redeemed or produced at the end of each period, and the wealth is then simply the money.
+     * @param {Object} A agent
+     * @return {number} wealth
+     */
+
+    agentWealth(A){
+        const x = A.inventory.X || 0;
+        const units = (x>0)? totalUnitValue(A, 0, x): -totalUnitCost(A, 0, -x);
+        return (A.inventory.money || 0)+units;
+    }
+
+    /**
+     * an agent's profit in the current period, the change in its agentWealth() since the start of the period, after any config.tax
+     * @param {Object} A agent
+     * @return {number} profit
+     */
+
+    agentProfit(A){
+        return this.agentWealth(A)-(this.periodStartWealth[A.id] || 0);
+    }
+
+    /**
+     * Perform end-of-period simulation logging of profits, open/high/low/close trade prices, etc.
+     * called automatically
+     * @private
+     */
+   
+    
+    logPeriod(){
+        const sim = this;
+        const profits = sim.pool.agents.map((A)=>(sim.agentProfit(A)));
+        function ohlc(){
+            if (sim.periodTradePrices.length>0){
+                const o = sim.periodTradePrices[0];
+                const h = Math.max(...sim.periodTradePrices);
+                const l = Math.min(...sim.periodTradePrices);
+		const c = sim.periodTradePrices[sim.periodTradePrices.length-1];
+		const volume = sim.periodTradePrices.length;
+		const median = stats.median(sim.periodTradePrices);
+		const mean = stats.mean(sim.periodTradePrices);
+		const sd = stats.stdev(sim.periodTradePrices);
+		const fundamentalValue = sim.fundamentalValue(sim.period);
+                return [sim.period,o,h,l,c,volume,median,mean,sd,(fundamentalValue===undefined)? '': fundamentalValue];
+            }
+        }
+        let profitSum = 0.0;
+        for(let i=0,l=profits.length;i<l;++i) profitSum+=profits[i];
+        const taxPaid = sim.pool.agents.map((A)=>(sim.periodTaxPaid[A.id] || 0));
+        const tax = taxPaid.reduce((total, paid)=>(total+paid), 0);
+        const maxPossible = sim.getMaximumPossibleGainsFromTrade();
+        const efficiency = (maxPossible>0)? (100*((profitSum+tax)/maxPossible)): undefined;
+        const netEfficiency = (maxPossible>0)? (100*(profitSum/maxPossible)): undefined;
+        const volume = sim.periodTradePrices.length;
+        if (sim.logs.profit)
+            sim.pool.agents.forEach(function(A, i){
+                sim.logs.profit.write([sim.period, A.id, A.role, A.agentType, profits[i], sim.periodUnitsTraded[A.id] || 0, profits[i]+taxPaid[i], taxPaid[i]]);
+            });
+        if (sim.logs.holdings)
+            sim.pool.agents.forEach(function(A){
+                sim.logs.holdings.write([sim.period, A.id, A.role, A.agentType, A.inventory.X || 0, A.inventory.money || 0, sim.agentWealth(A)]);
+            });
+        const ohlcRow = ohlc();
+        if (ohlcRow)
+            sim.lastOHLC = rowObject(logHeaders.ohlc, ohlcRow);
+        if (sim.logs.ohlc)
+            sim.logs.ohlc.write(ohlcRow);
+        if ((sim.logs.effalloc) && (efficiency!==undefined))
+            sim.logs.effalloc.write([sim.period, efficiency, netEfficiency, tax]);
+        const typeProfit = sim.profitByAgentType();
+        if (sim.logs.typeprofit)
+            typeProfit.forEach((group)=>(sim.logs.typeprofit.submit(Object.assign({period: sim.period}, group), '')));
+        if (sim.logs.equilibrium){
+            const row = sim.equilibriumRow(sim.periodTradePrices);
+            if (row) sim.logs.equilibrium.write(row);
+        }
+        if (sim.logs.bubble && sim.config.dividends)
+            sim.logs.bubble.write(sim.bubbleRow(sim.periodTradePrices));
+        if (sim.logs.pricecontrol){
+            [['ceiling', sim.config.priceCeiling], ['floor', sim.config.priceFloor]].forEach(function([control, price]){
+                if (price!==undefined)
+                    sim.logs.pricecontrol.submit(Object.assign({period: sim.period, control, price, volume}, sim.quantitiesAtPrice(price)), '');
+            });
+        }
+        const periodStats = {
+            period: sim.period,
+            efficiencyOfAllocation: efficiency,
+            volume,
+            close: (volume>0)? sim.periodTradePrices[volume-1]: undefined,
+            mean: (volume>0)? stats.mean(sim.periodTradePrices): undefined,
+            typeProfit
+        };
+        sim.periodStats.push(periodStats);
+        sim.periodTradePrices = [];
+        sim.periodUnitsTraded = {};
+        sim.periodTaxPaid = {};
+        delete sim.periodDividend;
+        Object.keys(sim.logs).forEach(function(name){
+            if (sim.logs[name] instanceof StreamLog)
+                sim.logs[name].flush();
+        });
+        sim.emit('periodEnd', Object.assign({ohlc: rowObject(logHeaders.ohlc, ohlcRow)}, periodStats));
+    }
+
+    /**
+     * called after each order is processed to log the best bid, best ask, spread, midpoint and depth of the books, 
+     * and after every config.bookSnapshotEvery orders of the period, a snapshot of the top config.bookSnapshotLevels price levels of each book
+     * @param {number[]} myorder the order processed, in the market's active list format
+     * @private
+     */
+
+    logBook(myorder){
+        const sim = this;
+        const xMarket = sim.xMarket;
+        const o = xMarket.o;
+        const t = myorder[o.tCol];
+        const tp = t-(sim.period*sim.periodDuration);
+        function depth(book){
+            return book.idxdata().reduce((total, order)=>(total+order[o.qCol]), 0);
+        }
+        if (sim.logs.book){
+            const bid = xMarket.currentBidPrice();
+            const ask = xMarket.currentAskPrice();
+            const quoted = ((bid!==undefined) && (ask!==undefined));
+            sim.logs.book.write([
+                sim.period,
+                t,
+                tp,
+                myorder[o.idCol],
+                (bid===undefined)? '': bid,
+                (ask===undefined)? '': ask,
+                (quoted)? (ask-bid): '',
+                (quoted)? ((bid+ask)/2): '',
+                depth(xMarket.book.buy),
+                depth(xMarket.book.sell)
+            ]);
+        }
+        const every = sim.config.bookSnapshotEvery;
+        // counted here rather than from the market's order numbers, which restart after each trade with xMarket.resetAfterEachTrade
+        sim.periodOrderCount += 1;
+        if (sim.logs.booksnapshot && (every>0) && ((sim.periodOrderCount%every)===0)){
+            const levels = sim.config.bookSnapshotLevels || 5;
+            [['buy', xMarket.book.buy], ['sell', xMarket.book.sell]].forEach(function([side, book]){
+                const rows = [];
+                book.idxdata().forEach(function(order){
+                    const price = (side==='buy')? order[o.bpCol]: order[o.spCol];
+                    const last = rows[rows.length-1];
+                    if (last && (last[5]===price)){
+                        last[6] += order[o.qCol];
+                        last[7] += 1;
+                    } else if (rows.length<levels){
+                        rows.push([sim.period, t, tp, side, 1+rows.length, price, order[o.qCol], 1]);
+                    }
+                });
+                rows.forEach((row)=>(sim.logs.booksnapshot.write(row)));
+            });
+        }
+    }
+
+    /**
+     * called to log each compliant order, and each rejected order with the reason for rejection
+     * @param {string} prefix '' for accepted orders, or 'reject' for rejected orders
+     * @param {number[]} orderArray order
+     * @param {string} [reason] for rejected orders, one of rejectReasons
+     * @private
+     */
+
+    logOrder(prefix, orderArray, reason){
+        const sim = this;
+        const order = MEC.ao(orderArray);
+        const agent = sim.pool.agentsById[order.id];
+        const buyLog = prefix+'buyorder';
+        const sellLog = prefix+'sellorder'; 
+        if ((agent) && (order.buyPrice) && (sim.logs[buyLog])){
+            sim.logs[buyLog].write([
+                sim.period,
+                order.t,
+                order.t-(sim.period*sim.periodDuration),
+                order.id,
+                agent.inventory.X,
+                order.q,
+                order.buyPrice, 
+                agent.unitValueFunction('X',agent.inventory), 
+                '',
+                ''
+            ].concat((prefix)? [reason]: []));
+            
+        }
+        if ((agent) && (order.sellPrice) && (sim.logs[sellLog])){
+            sim.logs[sellLog].write([
+                sim.period, 
+                order.t,
+                order.t-(sim.period*sim.periodDuration),
+                order.id, 
+                agent.inventory.X,
+                order.q,
+                '',
+                '',
+                order.sellPrice,
+                agent.unitCostFunction('X',agent.inventory)
+            ].concat((prefix)? [reason]: []));
+        }
+    }
+
+    /**
+     * called to log each trade in simulation.
+     * A trade may fill a multi-unit order against several counterparties; each fill is logged as a separate row with its quantity.
+     * @param {Object} tradespec trade specification from market-example-contingent
+     * @private
+     */
+
+    logTrade(tradespec){
+        const sim = this;
+        const idCol = sim.xMarket.o.idCol;
+
+        /* istanbul ignore if */
+
+        if (idCol === undefined )
+            throw new Error("Simulation.prototype.logTrade: sim.xMarket.o.idCol is undefined");
+        if ( ((tradespec.bs!=='b') && (tradespec.bs!=='s')) ||
+             (!Array.isArray(tradespec.prices)) ||
+             (!Array.isArray(tradespec.buyA)) ||
+             (!Array.isArray(tradespec.sellA)) )
+            throw new Error("Simulation.prototype.logTrade: invalid tradespec, got: "+JSON.stringify(tradespec));
+        function agentIdAt(j){
+            const id = sim.xMarket.a[j][idCol];
+
+            /* istanbul ignore if */
+
+            if (id===undefined)
+                throw new Error("Simulation.prototype.logTrade: agent id is undefined, tradespec="+JSON.stringify(tradespec));
+            return id;
+        }
+        const buyerids = tradespec.buyA.map(agentIdAt);
+        const sellerids = tradespec.sellA.map(agentIdAt);
+        const isBuy = (tradespec.bs==='b');
+        const bought = {}, sold = {};
+        for(let i=0,l=tradespec.prices.length;i<l;++i){
+            const buyerid  = (isBuy)? buyerids[0]: buyerids[i];
+            const sellerid = (isBuy)? sellerids[i]: sellerids[0];
+            const q = (isBuy)? tradespec.sellQ[i]: tradespec.buyQ[i];
+            const boughtBefore = bought[buyerid] || 0;
+            const soldBefore = sold[sellerid] || 0;
+            bought[buyerid] = boughtBefore+q;
+            sold[sellerid] = soldBefore+q;
+            sim.logFill({
+                t: tradespec.t,
+                price: tradespec.prices[i],
+                q,
+                buyerid,
+                buyerX: boughtBefore+sim.pool.agentsById[buyerid].inventory.X,
+                sellerid,
+                sellerX: sim.pool.agentsById[sellerid].inventory.X-soldBefore
+            });
+        }
+    }
+
+    /**
+     * called by logTrade to log a single fill of q units between one buyer and one seller, and charge the buyer and seller any config.tax
+     * @param {Object} fill description of the fill
+     * @param {number} fill.t time of trade
+     * @param {number} fill.price price per unit
+     * @param {number} fill.q number of units
+     * @param {number} fill.buyerid id of buying agent
+     * @param {number} fill.buyerX buyer's inventory of X before this fill
+     * @param {number} fill.sellerid id of selling agent
+     * @param {number} fill.sellerX seller's inventory of X before this fill
+     * @private
+     */
+
+    logFill(fill){
+        const sim = this;
+        const {t, q, buyerid, sellerid} = fill;
+        const tradePrice = fill.price;
+        if (!tradePrice) throw new Error("Simulation.prototype.logTrade: undefined price in trade ");
+        const tradeBuyerValue = totalUnitValue(sim.pool.agentsById[buyerid], fill.buyerX, q);
+        const tradeBuyerProfit = tradeBuyerValue-tradePrice*q;
+        const tradeSellerCost = totalUnitCost(sim.pool.agentsById[sellerid], fill.sellerX, q);
+        const tradeSellerProfit = tradePrice*q-tradeSellerCost;
+        const buyerTax = sim.taxOn('buyer', tradePrice, q);
+        const sellerTax = sim.taxOn('seller', tradePrice, q);
+        [[buyerid, buyerTax], [sellerid, sellerTax]].forEach(function([id, tax]){
+            if (tax){
+                sim.pool.agentsById[id].transfer({money: -tax}, {isTax: 1});
+                sim.periodTaxPaid[id] = (sim.periodTaxPaid[id] || 0)+tax;
+            }
+        });
+        const tradeOutput = [
+            sim.period,
+            t,
+            t-(sim.period*sim.periodDuration),
+            tradePrice,
+            q,
+            buyerid,
+            tradeBuyerValue,
+            tradeBuyerProfit,
+            sellerid,
+            tradeSellerCost,
+            tradeSellerProfit,
+            buyerTax,
+            sellerTax,
+            tradeBuyerProfit-buyerTax,
+            tradeSellerProfit-sellerTax
+        ];
+        if (sim.listenerCount('trade')>0)
+            sim.emit('trade', rowObject(logHeaders.trade, tradeOutput));
+        for(let k=0;k<q;++k)
+            sim.periodTradePrices.push(tradePrice);
+        sim.periodUnitsTraded[buyerid] = (sim.periodUnitsTraded[buyerid] || 0)+q;
+        sim.periodUnitsTraded[sellerid] = (sim.periodUnitsTraded[sellerid] || 0)+q;
+        if (sim.logs.trade)
+            sim.logs.trade.write(tradeOutput);
+    }
+
+    /**
+     * submit an order to xMarket for a HumanAgent during a realtime period. The order is held to the same rules as the robots' orders: 
+     * the buy price may not exceed the value of the agent's next unit, or the sell price be less than the cost of its next unit, unless
+     * config.ignoreBudgetConstraint is set, and with config.carryInventory, an agent without values or costs is limited to its money and units on hand; 
+     * prices must be within config.L and config.H, and integers if config.integer is set; 
+     * and the order cancels the agent's previous orders unless config.keepPreviousOrders is set.
+     * @param {number} agentId id of a HumanAgent in this simulation
+     * @param {Object} order order for one unit, with either buyPrice or sellPrice
+     * @return {Object} the order as submitted, with period, t, id, q, buyPrice and sellPrice
+     * @throws {Error} if the agent is not a HumanAgent, no realtime period is running, or the order breaks the rules above
+     */
+
+    submitHumanOrder(agentId, order){
+        const A = this.pool.agentsById[agentId];
+        if (!(A instanceof HumanAgent))
+            throw new Error("submitHumanOrder: agent "+agentId+": not a HumanAgent in this simulation");
+        return this.submitAgentOrder(A, order);
+    }
+
+    /**
+     * check the budget constraint of an order for one unit from a HumanAgent or RemoteAgent.  Bids may not exceed the value of the next unit, 
+     * nor asks fall below its cost, allowing for any config.tax.  With config.carryInventory, an agent without values may bid up to its money on hand, 
+     * and an agent without costs may ask only while it holds a unit of X.
+     * @param {Object} A agent sending the order
+     * @param {number} [buyPrice] bid price, for a buy order
+     * @param {number} [sellPrice] ask price, for a sell order
+     * @return {string|undefined} description of the problem, or undefined if the order is within budget
+     * @private
+     */
+
+    budgetProblem(A, buyPrice, sellPrice){
+        const sim = this;
+        const isBuy = (buyPrice!==undefined);
+        const assetMarket = sim.config.carryInventory;
+        if (isBuy && assetMarket && !(Array.isArray(A.values.X))){
+            const money = A.inventory.money || 0;
+            const limit = sim.reservationBuyPrice(money);
+            if ((!A.ignoreBudgetConstraint) && (buyPrice>limit))
+                return "buyPrice "+buyPrice+" exceeds the money "+money+" on hand"+((limit===money)? "": (", less tax, "+limit));
+        } else if (!isBuy && assetMarket && !(Array.isArray(A.costs.X))){
+            if (!((A.inventory.X || 0)>=1))
+                return "no units left to sell";
+        } else if (isBuy){
+            const unitValue = A.unitValueFunction('X', A.inventory);
+            if (!(unitValue>0))
+                return "no units left to buy";
+            const limit = sim.reservationBuyPrice(unitValue);
+            if ((!A.ignoreBudgetConstraint) && (buyPrice>limit))
+                return "buyPrice "+buyPrice+" exceeds the value "+unitValue+" of the next unit"+((limit===unitValue)? "": (", less tax, "+limit));
+        } else {
+            const unitCost = A.unitCostFunction('X', A.inventory);
+            if (!(unitCost>0))
+                return "no units left to sell";
+            const limit = sim.reservationSellPrice(unitCost);
+            if ((!A.ignoreBudgetConstraint) && (sellPrice<limit))
+                return "sellPrice "+sellPrice+" is less than the cost "+unitCost+" of the next unit"+((limit===unitCost)? "": (", plus tax, "+limit));
+        }
+        return undefined;
+    }
+
+    /**
+     * check an order from a HumanAgent or RemoteAgent against the rules described in submitHumanOrder(), and submit it to xMarket
+     * @param {Object} A agent sending the order
+     * @param {Object} order order for one unit, with either buyPrice or sellPrice
+     * @param {number} [t] time of the order.  If omitted, the current time in a running realtime period.
+     * @return {Object} the order as submitted, with period, t, id, q, buyPrice and sellPrice
+     * @throws {Error} if t is omitted and no realtime period is running, or the order breaks the rules
+     * @private
+     */
+
+    submitAgentOrder(A, order, t){
+        const sim = this;
+        const {buyPrice, sellPrice} = order || {};
+        function invalid(msg){
+            return new Error("order from agent "+A.id+": "+msg);
+        }
+        if ((t===undefined) && ((sim.status!=='running') || !(sim.realtimeIntervalId)))
+            throw invalid("orders are accepted only while a realtime period is running");
+        const isBuy = (buyPrice!==undefined);
+        const price = (isBuy)? buyPrice: sellPrice;
+        if ((isBuy===(sellPrice!==undefined)) || (typeof(price)!=='number') || !(isFinite(price)))
+            throw invalid("expected an order with a numeric buyPrice or sellPrice, but not both");
+        if ((price<A.minPrice) || (price>A.maxPrice))
+            throw invalid("price "+price+" is outside the allowed range "+A.minPrice+" to "+A.maxPrice);
+        if (sim.config.integer && (Math.floor(price)!==price))
+            throw invalid("price "+price+" is not an integer");
+        const problem = sim.budgetProblem(A, buyPrice, sellPrice);
+        if (problem)
+            throw invalid(problem);
+        const submitted = MEC.oa({
+            t: (t===undefined)? Math.min((Date.now()/1000.0)-sim.realtime, A.period.endTime): t,
+            id: A.id,
+            cancel: !sim.config.keepPreviousOrders,
+            q: 1,
+            buyPrice,
+            sellPrice
+        });
+        sim.journalOrder(submitted);
+        sim.xMarket.submit(submitted);
+        while(sim.xMarket.process()){} // eslint-disable-line no-empty
+        return Object.assign({period: sim.period}, MEC.ao(submitted));
+    }
+
+    /**
+     * record an order about to be submitted to xMarket in the journal, if journaling
+     * @param {number[]} order order array, as created by MEC.oa()
+     * @private
+     */
+
+    journalOrder(order){
+        if (this.journal)
+            this.journal.push({event:'order', period: this.period, id: order[this.xMarket.o.idCol], order: order.slice()});
+    }
+
+    /**
+     * replay a journal recorded by a Simulation with config.journal set, feeding the recorded orders to xMarket period by period 
+     * without running the agents.  With the same buyerValues, sellerCosts and agents, the trade, ohlc, effalloc and profit logs 
+     * are identical to those of the recorded run; the market settings, e.g. xMarket.buySellBookLimit, and logging settings may differ.
+     * Call on a new Simulation, in place of run().
+     * @param {Object[]} journal journal from a Simulation's .journal, e.g. after JSON.parse of a saved journal
+     * @return {Object} this simulation, after replaying every period in the journal
+     * @throws {Error} if the journal is not an array, or an order comes from an agent that is not in this simulation
+     */
+
+    replay(journal){
+        const sim = this;
+        if (!Array.isArray(journal))
+            throw new Error("Simulation.prototype.replay: expected journal to be an array, got: "+typeof(journal));
+        // orders and dividends grouped by period, in one pass over the journal
+        const ordersByPeriod = {};
+        const dividendByPeriod = {};
+        journal.forEach(function(entry){
+            if (entry.event==='order')
+                (ordersByPeriod[entry.period] = ordersByPeriod[entry.period] || []).push(entry);
+            else if ((entry.event==='dividend') && !(entry.period in dividendByPeriod))
+                dividendByPeriod[entry.period] = entry.dividend;
+        });
+        const periods = journal.reduce((max, entry)=>(Math.max(max, entry.period)), sim.period);
+        sim.openLogs();
+        while(sim.period<periods){
+            sim.period++;
+            sim.applySchedule();
+            sim.pool.initPeriod(sim.period);
+            sim.xMarket.clear();
+            sim.periodOrderCount = 0;
+            sim.emit('periodStart', sim.period);
+            (ordersByPeriod[sim.period] || []).forEach(function(entry){
+                if (!sim.pool.agentsById[entry.id])
+                    throw new Error("Simulation.prototype.replay: no agent with id "+entry.id+" for order in period "+entry.period);
+                sim.xMarket.submit(entry.order.slice());
+                while(sim.xMarket.process()){} // eslint-disable-line no-empty
+            });
+            sim.pool.endPeriod();
+            sim.payDividends(dividendByPeriod[sim.period]);
+            sim.logPeriod();
+        }
+        sim.closeLogs();
+        sim.emit('done', sim);
+        return sim;
+    }
+
+    /**
+     * serialize the state of the simulation between periods, for Simulation.resume().  
+     * Includes the config, period counter, per-period statistics, agent state, random number generator position, 
+     * the market's last trade and last period's ohlc, the journal, and the position of each log.  Logs in memory are included in full; 
+     * logs on the file system are recorded by file name and size.  
+     * Call only between periods, e.g. from a run() update function.
+     * @return {Object} checkpoint, safe to JSON.stringify
+     */
+
+    checkpoint(){
+        const sim = this;
+        const logs = {};
+        Object.keys(sim.logs).forEach(function(name){
+            logs[name] = logState(sim.logs[name]);
+        });
+        return JSON.parse(JSON.stringify({
+            config: sim.config,
+            period: sim.period,
+            periodStats: sim.periodStats,
+            randomUseCount: (sim.random)? sim.random.getUseCount(): undefined,
+            agents: sim.pool.agents.map(agentState),
+            lastTrade: sim.xMarket.lastTrade,
+            lastOHLC: sim.lastOHLC,
+            journal: sim.journal,
+            logs
+        }));
+    }
+
+    /**
+     * create a Simulation that continues from a checkpoint.  Continue it with .run(), which runs the remaining periods up to config.periods.
+     * Logs continue from their positions in the checkpoint.  Only seeded simulations continue exactly as an uninterrupted run would.
+     * @param {Object} checkpoint checkpoint from sim.checkpoint(), e.g. after JSON.parse of a saved checkpoint
+     * @param {Object} [overrides] config properties to replace, e.g. periods to extend a run, or logSinks objects that do not survive JSON
+     * @return {Object} new Simulation, at the period of the checkpoint
+     * @throws {Error} if the resulting config fails validateConfig()
+     */
+
+    static resume(checkpoint, overrides){
+        return new Simulation(Object.assign({}, checkpoint.config, overrides), checkpoint);
+    }
+
+    /**
+     * restore period counter, statistics, agent state, market last trade and last period's ohlc from a checkpoint
+     * called by constructor when resuming
+     * @param {Object} checkpoint checkpoint from sim.checkpoint()
+     * @private
+     */
+
+    restore(checkpoint){
+        const sim = this;
+        sim.period = checkpoint.period;
+        sim.periodStats = checkpoint.periodStats;
+        checkpoint.agents.forEach(function(state){
+            const A = sim.pool.agentsById[state.id];
+            if (!A)
+                throw new Error("Simulation.resume: no agent with id "+state.id+" in checkpoint config");
+            Object.assign(A, state);
+        });
+        const schedule = sim.scheduleForPeriod(sim.period);
+        sim.buyerValues = schedule.buyerValues;
+        sim.sellerCosts = schedule.sellerCosts;
+        delete sim.maximumPossibleGainsFromTrade;
+        delete sim.competitiveEquilibrium;
+        if (checkpoint.lastTrade)
+            sim.xMarket.lastTrade = checkpoint.lastTrade;
+        sim.lastOHLC = checkpoint.lastOHLC;
+        sim.lastDividendPeriod = sim.period;
+    }
+
+    /**
+     * pause a running simulation.  Asynchronous runs pause at the end of the current period; realtime runs pause immediately, 
+     * and the simulation clock stops until resume() is called.
+     * @return {Object} this simulation
+     */
+
+    pause(){
+        const sim = this;
+        if (sim.status==='running'){
+            sim.status = 'paused';
+            sim.pausedAt = Date.now()/1000.0;
+            sim.emit('pause', sim);
+        }
+        return sim;
+    }
+
+    /**
+     * resume a paused simulation.  Not to be confused with Simulation.resume(checkpoint), which creates a simulation from a checkpoint.
+     * @return {Object} this simulation
+     */
+
+    resume(){
+        const sim = this;
+        if (sim.status==='paused'){
+            if (sim.realtime!==undefined)
+                sim.realtime += (Date.now()/1000.0)-sim.pausedAt;
+            delete sim.pausedAt;
+            sim.status = 'running';
+            sim.emit('resume', sim);
+        }
+        return sim;
+    }
+
+    /**
+     * run simulation
+     * @param {Object} [options]
+     * @param {boolean} [options.sync=false] true to run synchronously, returns simulation object (not a Promise) 
+     * @param {function(sim:Object)} [options.update]  update Optional end of period function, not called for a period ending after the run is cancelled
+     * @param {number} [options.delay=20] delay timeout between periods in ms. Only effective in asynchronous mode.
+     * @param {number} [options.deadline=0] deadline to compare with Date.now() -- If over deadline, return available data.  0 disables.
+     * @param {Object} [options.signal] AbortSignal to cancel the run.  A cancelled run stops after the current period, or at once in realtime mode, with a Gateway, or when paused,
+     * and returns or resolves to the simulation with .status 'cancelled' and the results so far, leaving config unchanged.
+     * @return {Promise<Object,Error>} resolves to simulation object
+     */
+
+    run(options){
+	const defaults = {sync:false, update:((s)=>(s)), delay: 20, deadline:0};
+	const { sync, update, delay, deadline, signal } = Object.assign({}, defaults, options);
+        const sim = this;
+        const config = this.config;
+        if (typeof(update)!=='function')
+            throw new Error("expected 'update' to be a function, got: "+typeof(update));
+
+        function forceFinish(){
+            config.periodsRequested = config.periods;
+            config.periods = sim.period;
+        }
+
+        function cancelled(){
+            return Boolean(signal && signal.aborted);
+        }
+
+        function finish(){
+            sim.status = (cancelled())? 'cancelled': 'done';
+            sim.closeLogs();
+            sim.emit('done', sim);
+            return sim;
+        }
+
+        if (sync && sim.gateway)
+            throw new Error("run: a simulation with a Gateway for remote agents must run asynchronously");
+
+        sim.status = 'running';
+        sim.openLogs();
+        
+        /* istanbul ignore if */
+        
+        if (!config.silent)
+            console.log("Periods = "+config.periods);
+        
+        if (sync){
+            try {
+                while((sim.period<config.periods) && !(cancelled())){
+                    sim.runPeriod(true);  // pass true to .runPeriod to run synchronously
+                    update(sim);
+                    if ((deadline) && (Date.now()>deadline)) forceFinish();
+                }
+            } catch(e){
+                sim.closeLogs();
+                throw e;
+            }
+
+            /* istanbul ignore if */
+
+            if (!config.silent)
+                console.log("done");
+            
+            return finish();
+        }
+
+        function whenUnpaused(){
+            return new Promise(function(resolve){
+                if ((sim.status!=='paused') || cancelled())
+                    return resolve();
+                function go(){
+                    sim.removeListener('resume', go);
+                    if (signal) signal.removeEventListener('abort', go);
+                    resolve();
+                }
+                sim.on('resume', go);
+                if (signal) signal.addEventListener('abort', go);
+            });
+        }
+
+        function whenRunnable(){
+            if (sim.gateway)
+                return whenUnpaused().then(()=>(sim.gateway.ready(signal)));
+            return whenUnpaused();
+        }
+
+        return new Promise(function(resolve,reject){
+            function loop(){
+                (whenRunnable()
+                 .then(function(){
+                     if (cancelled())
+                         return sim;
+                     // a period cut short by cancelling, in realtime mode or with a Gateway, is not passed to update
+                     return sim.runPeriod(false, signal).then(function(s){
+                         return (cancelled())? s: update(s);
+                     });
+                 })
+                 .then(
+                     function(s){
+                         if ((deadline) && (Date.now()>deadline)) forceFinish();
+                         if ((s.period<config.periods) && !(cancelled()))
+                             return setTimeout(loop,delay);
+                         return resolve(finish());
+                     },
+                     function(e){
+                         sim.closeLogs();
+                         reject(e);
+                     }
+                 )
+                );
+            }
+            loop();
+        });
+    }
 }
 
-agentRegister(MarketAgents); // a bit overbroad but gets all of them
+/**
+ * read the body of an http request as JSON
+ * @param {Object} req http.IncomingMessage
+ * @return {Promise<Object,Error>} resolves to the parsed body, or {} if the body is empty
+ * @private
+ */
 
-const orderHeader = ['period','t','tp','id','x', 'buyLimitPrice','value','sellLimitPrice','cost'];
+function readJSON(req){
+    return new Promise(function(resolve, reject){
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', function(chunk){
+            body += chunk;
+            if (body.length>65536){
+                reject(new Error("request body too large"));
+                req.destroy();
+            }
+        });
+        req.on('end', function(){
+            try {
+                resolve((body)? JSON.parse(body): {});
+            } catch(e){
+                reject(e);
+            }
+        });
+        req.on('error', reject);
+    });
+}
 
-export const logHeaders = {
-    ohlc:  ['period','open','high','low','close','volume','median','mean','sd'],
-    buyorder:  orderHeader,
-    sellorder: orderHeader,
-    rejectbuyorder: orderHeader,
-    rejectsellorder: orderHeader,
-    trade: ['period','t','tp','price','buyerAgentId','buyerValue','buyerProfit','sellerAgentId','sellerCost','sellerProfit'],
-    effalloc: ['period','efficiencyOfAllocation']
-};
+/**
+ * send an http response with a JSON body
+ * @param {Object} res http.ServerResponse
+ * @param {number} status http status code
+ * @param {Object} obj response body
+ * @private
+ */
 
-export const logNames = ['trade','buyorder','sellorder','rejectbuyorder','rejectsellorder','profit','ohlc','effalloc'];
+function respondJSON(res, status, obj){
+    res.writeHead(status, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify(obj));
+}
 
 /**
- * single-market-robot-simulation Simulation 
+ * Local HTTP gateway to a Simulation's xMarket, so that trading robots written in other processes or languages can trade as 
+ * the simulation's RemoteAgents.  A remote robot POSTs to /join to be assigned the id, values and costs of a RemoteAgent, 
+ * subscribes to its notifications as Server-Sent Events with GET /events/:id, and POSTs its bids and asks to /order.  
+ * An asynchronous run waits until every RemoteAgent has joined and subscribed before each period.  In asynchronous mode, each 
+ * wake of a RemoteAgent is sent as a wake event, and the simulation waits for the reply to /order, or the timeout, before continuing.
+ * In realtime mode, orders may be sent to /order at any time during a period. 
  */
 
-export class Simulation {
-    
+export class Gateway {
+
     /**
-     * Create Simulation with given configuration
-     * @param {Object} config
-     * @param {number} config.periods number of periods in this simulation
-     * @param {number} config.periodDuration duration of each period
-     * @param {string[]} config.buyerAgentType string array (choose from "ZIAgent","UnitAgent","OneupmanshipAgent","KaplanSniperAgent" or types registered with agentRegister()) giving a rotation of types of agents to use when creating the buyer agents.
-     * @param {string[]} config.sellerAgentType string array (choose from "ZIAgent","UnitAgent","OneupmanshipAgent","KaplanSniperAgent" or types registered with agentRegister()) giving a rotation of types of agents to use when creating the seller agents.
-     * @param {number[]} [config.buyerRate=1.0] poisson arrival rate in wakes/sec for each buyer agent, defaults to 1.0 for all agents
-     * @param {number[]} [config.sellerRate=1.0] poisson arrival rate in wakes/sec for each seller agent, defaults to 1.0 for all agents
-     * @param {number[]} config.buyerValues Numeric array giving aggregate market demand for X. Becomes agents' values for units. Each period a new set of these values is distributed among buyer agents.
-     * @param {number[]} config.sellerCosts Numeric array giving aggregate market supply for X. Becomes agents' costs for units.  Each period a new set of these costs is distributed among seller agents.
-     * @param {number} [config.numberOfBuyers] number of buyers; if unprovided, assigns 1 buyer per entry in .buyerValues
-     * @param {number} [config.numberOfSellers] number of sellers; if unprovided, assigns 1 seller per entry in .sellerCosts
-     * @param {Object} config.xMarket configuration options for x Market forwarded to market-example-contingent constructor
-     * @param {boolean} [config.integer] Set true if agent prices should be integers. Sent to agent constructor. Used by some random agents, such as ZIAgent.
-     * @param {boolean} [config.ignoreBudgetConstraint] Set true if agents should ignore their values/costs and pretend they have maximum value or minimum cost.  Sent to agent constructors.
-     * @param {boolean} [config.keepPreviousOrders] Set true if agents should not set cancelReplace flag on orders
-     * @param {number} config.L Minimum suggested agent price.  Sets .minPrice in agent constructor options
-     * @param {number} config.H Maximum suggested agent price.  Sets .maxPrice in agent constructor options
-     * @param {boolean} [config.silent] If true, suppress console.log messages providing total number of agents, etc.
-     * @param {boolean} [config.withoutOrderLogs] If true, suppresses buyorderlog and sellorderlog
+     * create a Gateway for a simulation, and set it as sim.gateway.  Call listen() to start the server.
+     * @param {Object} sim Simulation with at least one RemoteAgent among its buyers or sellers
+     * @param {Object} [options]
+     * @param {string} [options.host='127.0.0.1'] host address for the server
+     * @param {number} [options.port=0] port for the server; 0 picks a free port, reported as .port after listen()
+     * @param {number} [options.timeout=10000] milliseconds to wait for a reply to a wake event before continuing without an order
+     * @throws {Error} if the simulation has no RemoteAgent
      */
 
-    constructor(config){
-        
+    constructor(sim, options){
+        const gateway = this;
+        const defaults = {host: '127.0.0.1', port: 0, timeout: 10000};
+        Object.assign(gateway, defaults, options);
+
         /**
-         * copy of config as passed to constructor
-         * @type {Object} this.config
+         * simulation connected to this gateway
+         * @type {Object} this.sim
          */
 
-        this.config = config;
-
-        this.initLogs();
-        this.initMarket();
-        this.initAgents();
+        gateway.sim = sim;
 
         /**
-         * current period number when running simulation
-         * @type {number} this.period
+         * the simulation's RemoteAgents, in order of id
+         * @type {Object[]} this.remoteAgents
          */
-        
-        this.period = 0;
 
-        /**
-         * trade prices for current period
-         * @type {number[]} this.periodTradePrices
-         */
-        
-        this.periodTradePrices = [];    
+        gateway.remoteAgents = sim.pool.agents.filter((A)=>(A instanceof RemoteAgent));
+        if (gateway.remoteAgents.length===0)
+            throw new Error("Gateway: the simulation has no RemoteAgent in buyerAgentType or sellerAgentType");
+        gateway.joined = {};
+        gateway.streams = {};
+        gateway.pending = {};
+        gateway.waiting = [];
+        sim.gateway = gateway;
+        sim.on('periodStart', function(period){
+            gateway.remoteAgents.forEach(function(A){
+                const inventory = (sim.config.carryInventory)? Object.assign({}, A.inventory): undefined;
+                gateway.notify(A.id, 'periodStart', {period, values: A.values.X, costs: A.costs.X, inventory});
+            });
+        });
+        sim.on('trade', (fill)=>(gateway.broadcast('trade', fill)));
+        sim.on('periodEnd', (periodStats)=>(gateway.broadcast('periodEnd', periodStats)));
+        sim.on('done', ()=>(gateway.broadcast('done', {period: sim.period, status: sim.status})));
+    }
 
-        /* istanbul ignore if */
+    /**
+     * start the http server
+     * @return {Promise<Object,Error>} resolves to this gateway when listening, with the server's port in .port
+     */
 
-        if (!this.config.silent){
-            console.log("duration of each period = "+this.periodDuration);
-            console.log(" ");
-            console.log("Number of Buyers  = "+this.numberOfBuyers);
-            console.log("Number of Sellers = "+this.numberOfSellers);
-            console.log("Total Number of Agents  = "+this.numberOfAgents);
-            console.log(" ");
-            console.log("minPrice = "+this.config.L);
-            console.log("maxPrice = "+this.config.H);
-        }
+    listen(){
+        const gateway = this;
+        return new Promise(function(resolve, reject){
+            gateway.server = http.createServer((req, res)=>(gateway.handle(req, res)));
+            gateway.server.once('error', reject);
+            gateway.server.listen(gateway.port, gateway.host, function(){
+                gateway.port = gateway.server.address().port;
+                resolve(gateway);
+            });
+        });
     }
 
     /**
-     * initialize simulation data logging. 
-     * called automatically by constructor
-     * @private
+     * stop the http server, ending event streams and any wait for a reply
+     * @return {Promise<Object>} resolves to this gateway when the server is closed
      */
-    
-    initLogs(){
-        const sim = this;
-        sim.logs = {};
-        const withoutOrderLogs = logNames.filter(function(s){ return !(s.includes('order'));});
-        const actualLogs = (sim.config.withoutOrderLogs)? withoutOrderLogs: logNames;
-        const logDir = sim.config.logDir || ".";
-        const logToFS = sim.config.logToFileSystem;
-        actualLogs.forEach(function(name){
-            sim.logs[name] = new Log(logDir+"/"+name+".csv", logToFS).setHeader(logHeaders[name]);
+
+    close(){
+        const gateway = this;
+        Object.keys(gateway.pending).forEach((id)=>(gateway.settle(id)));
+        Object.keys(gateway.streams).forEach((id)=>(gateway.streams[id].end()));
+        return new Promise(function(resolve){
+            if (!gateway.server)
+                return resolve(gateway);
+            gateway.server.close(()=>(resolve(gateway)));
+            if (typeof(gateway.server.closeAllConnections)==='function')
+                gateway.server.closeAllConnections();
         });
     }
 
-    /** 
-     * Initalize single market for trading X in Simulation
-     * called by constructor
+    /**
+     * route an http request to join(), subscribe() or order()
+     * @param {Object} req http.IncomingMessage
+     * @param {Object} res http.ServerResponse
      * @private
      */
 
-    initMarket(){
-        const sim = this;
-        const xDefaults = {
-            goods: "X",
-            money: "money"
-        };
-        sim.xMarket = new Market(Object.assign({}, xDefaults, sim.config.xMarket));
-        sim.xMarket.on('trade', function(tradespec){ 
-            sim.logTrade(tradespec);
-            sim.pool.trade(tradespec);
-        });
-        if (!sim.config.withoutOrderLogs){
-            sim.xMarket.on('preorder', function(myorder){
-                sim.logOrder('',myorder);
-            });
-            sim.xMarket.on('reject', function(myorder){
-                sim.logOrder('reject',myorder);
-            });
+    handle(req, res){
+        const gateway = this;
+        const path = req.url.split('?')[0];
+        if ((req.method==='GET') && (path.startsWith('/events/')))
+            return gateway.subscribe(+path.slice(8), res);
+        if ((req.method==='POST') && ((path==='/join') || (path==='/order'))){
+            return (readJSON(req)
+                    .then((body)=>(respondJSON(res, 200, gateway[path.slice(1)](body))))
+                    .catch((e)=>(respondJSON(res, 400, {error: e.message})))
+                   );
         }
+        return respondJSON(res, 404, {error: "not found: "+req.method+" "+path});
     }
-    
+
     /**
-     * Initialize agents in simulation
-     * called by constructor
+     * assign the next RemoteAgent that has not joined to a remote robot
+     * @param {Object} body request body, optionally with role 'buyer' or 'seller'
+     * @return {Object} the agent's id, role, values and costs, and the market settings L, H and integer
+     * @throws {Error} if no RemoteAgent with the requested role is available
      * @private
      */
 
-    initAgents(){
-        const sim = this;
-        const config = sim.config;
-        sim.pool = new Pool();
-        sim.buyersPool = new Pool();
-        sim.sellersPool = new Pool();
-        sim.numberOfBuyers  = config.numberOfBuyers  || config.buyerValues.length;
-        sim.numberOfSellers = config.numberOfSellers || config.sellerCosts.length;
-        config.buyerRate  = positiveNumberArray(config.buyerRate) || [1];
-        config.sellerRate = positiveNumberArray(config.sellerRate) || [1];  
-        if ( (!sim.numberOfBuyers) || (!sim.numberOfSellers) )
-            throw new Error("single-market-robot-simulation: can not determine numberOfBuyers and/or numberOfSellers ");
-        sim.numberOfAgents = sim.numberOfBuyers+sim.numberOfSellers;
-        const common = {
-            integer: config.integer,
-            ignoreBudgetConstraint: config.ignoreBudgetConstraint,
-            period: {number:0, equalDuration:true, duration:(config.periodDuration || 1000), init: {inventory:{X:0, money:0}}},
-            minPrice: config.L,
-            maxPrice: config.H
+    join(body){
+        const gateway = this;
+        const config = gateway.sim.config;
+        const A = gateway.remoteAgents.find((a)=>(!(gateway.joined[a.id]) && (!(body.role) || (a.role===body.role))));
+        if (!A)
+            throw new Error("no RemoteAgent"+((body.role)? (" with role "+body.role): "")+" is available to join");
+        gateway.joined[A.id] = true;
+        return {
+            id: A.id,
+            role: A.role,
+            values: A.values.X,
+            costs: A.costs.X,
+            L: config.L,
+            H: config.H,
+            integer: Boolean(config.integer),
+            realtime: Boolean(config.realtime),
+            periods: config.periods
         };
-        sim.periodDuration = common.period.duration;
-        for(let i=0,l=sim.numberOfBuyers;i<l;++i){
-            const a = sim.newBuyerAgent(i, common);
-            sim.buyersPool.push(a);
-            sim.pool.push(a);
-        }
-        for(let i=0,l=sim.numberOfSellers;i<l;++i){
-            const a = sim.newSellerAgent(i, common);
-            sim.sellersPool.push(a);
-            sim.pool.push(a);
-        }
-        sim.buyersPool.distribute('values','X',config.buyerValues);
-        sim.sellersPool.distribute('costs','X',config.sellerCosts);
     }
 
     /**
-     * Create a new Buyer agent for the simulation
-     * called by initAgents() for each buyer
-     * @param {number} i counter for agents 0,1,2,...
-     * @param {Object} common Settings to send to agent constructor
+     * send a joined agent's notifications to res as Server-Sent Events, until the connection closes
+     * @param {number} id agent id
+     * @param {Object} res http.ServerResponse
      * @private
      */
 
-    newBuyerAgent(i, common){
-        const sim = this;
-        const lType = sim.config.buyerAgentType.length;
-        const lRate = sim.config.buyerRate.length;
-        const a = newAgentFactory(
-            sim.config.buyerAgentType[i%lType],
-            Object.assign({}, common, {rate: sim.config.buyerRate[i%lRate]})
-        );
-        sim.teachAgent(a);
-        return a;
+    subscribe(id, res){
+        const gateway = this;
+        if (!(gateway.joined[id]))
+            return respondJSON(res, 404, {error: "agent "+id+" has not joined"});
+        res.writeHead(200, {'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive'});
+        res.write(":\n\n");
+        gateway.streams[id] = res;
+        res.on('close', function(){
+            if (gateway.streams[id]===res){
+                delete gateway.streams[id];
+                gateway.settle(id);
+            }
+        });
+        return gateway.checkReady();
     }
 
     /**
-     * Create a new Seller agent for the simulation
-     * called by initAgents() for each seller
-     * @param {number} i counter for agents 0,1,2,...
-     * @param {Object} common Settings to send to agent constructor
+     * submit an order, or decline to, for a RemoteAgent.  In asynchronous mode, answers the agent's wake event, and the order's t is the wake time.  
+     * In realtime mode, t is the current time in the period.  Orders follow the rules of Simulation.submitHumanOrder().
+     * @param {Object} body request body with the agent id, and buyPrice, sellPrice, or neither to decline
+     * @return {Object} {order} with the order as submitted, or {passed:true} when declining
+     * @throws {Error} if the agent is not a RemoteAgent, is not waiting for an order in asynchronous mode, or the order breaks the rules
      * @private
      */
 
-    newSellerAgent(i, common){
-        const sim = this;
-        const lType = sim.config.sellerAgentType.length;
-        const lRate = sim.config.sellerRate.length;
-        const a = newAgentFactory(
-            sim.config.sellerAgentType[i%lType],
-            Object.assign({}, common, {rate: sim.config.sellerRate[i%lRate]})
-        );
-        sim.teachAgent(a);
-        return a;
+    order(body){
+        const gateway = this;
+        const sim = gateway.sim;
+        const A = sim.pool.agentsById[body.id];
+        if (!(A instanceof RemoteAgent))
+            throw new Error("order from agent "+body.id+": not a RemoteAgent in this simulation");
+        const hasPrice = ((body.buyPrice!==undefined) || (body.sellPrice!==undefined));
+        if (sim.config.realtime)
+            return (hasPrice)? {order: sim.submitAgentOrder(A, body)}: {passed: true};
+        const pending = gateway.pending[A.id];
+        if (!pending)
+            throw new Error("order from agent "+A.id+": no wake is waiting for an order");
+        const result = (hasPrice)? {order: sim.submitAgentOrder(A, body, pending.t)}: {passed: true};
+        gateway.settle(A.id);
+        return result;
     }
 
     /**
-     * teach an agent tasks such as how to send buy and sell orders to market, how to find "Juicy" price for KaplanSniperAgent, etc.
-     * called for each agent in newBuyerAgent() or newSellerAgent()
-     * @param {Object} A a new agent that needs to learn the task methods
+     * write an event to an agent's event stream, if subscribed
+     * @param {number} id agent id
+     * @param {string} event event name
+     * @param {Object} data event data, sent as JSON
+     * @return {boolean} true if the agent is subscribed
      * @private
      */
-     
-
-    teachAgent(A) { 
-        const sim = this;
-        A.bid = function(market, price){
-            const order = MEC.oa({
-                t: this.wakeTime,
-                id: this.id,
-                cancel: !sim.config.keepPreviousOrders,
-                q: 1,
-                buyPrice: price
-            });
-            if (market.goods === 'X'){
-                market.submit(order);
-                while(market.process()){} // eslint-disable-line no-empty
-            }
-        };
 
-        A.ask = function(market, price){
-            const order = MEC.oa({
-                t: this.wakeTime,
-                id: this.id,
-                cancel: !sim.config.keepPreviousOrders,
-                q: 1,
-                sellPrice: price
-            });
-            if (market.goods === 'X'){
-                market.submit(order);
-                while(market.process());
-            }
-        };
+    notify(id, event, data){
+        const stream = this.streams[id];
+        if (stream)
+            stream.write("event: "+event+"\ndata: "+JSON.stringify(data)+"\n\n");
+        return Boolean(stream);
+    }
 
-        A.markets = [sim.xMarket];
+    /**
+     * write an event to every subscribed agent's event stream
+     * @param {string} event event name
+     * @param {Object} data event data, sent as JSON
+     * @private
+     */
 
-        if (A instanceof MarketAgents.KaplanSniperAgent){
-            A.getJuicyBidPrice = function(){
-                if (sim.logs && sim.logs.ohlc)
-                    return sim.logs.ohlc.lastByKey('high');
-            };
-            A.getJuicyAskPrice = function(){
-                if (sim.logs && sim.logs.ohlc)
-                    return sim.logs.ohlc.lastByKey('low');
-            };
-        }
+    broadcast(event, data){
+        Object.keys(this.streams).forEach((id)=>(this.notify(id, event, data)));
     }
 
     /**
-     * runs a periods of the simulation
-     * @param {boolean} sync true indicates call is synchronous, return value will be simulation object; false indicates async, return value is Promise
-     * @return {Promise<Object,Error>} Resolves to simulation object when one period of simulation is complete.
+     * true if every RemoteAgent has joined and subscribed to its events
+     * @return {boolean} readiness
      */
 
-    runPeriod(sync){
-        const sim=this;
-        function atEndOfPeriod(){
-            sim.pool.endPeriod();
-            sim.logPeriod();
-            return sim;
-        }
-        sim.period++;
-
-        /* istanbul ignore if */
+    isReady(){
+        return this.remoteAgents.every((A)=>(Boolean(this.streams[A.id])));
+    }
 
-        if (!sim.config.silent)
-            console.log("period: "+sim.period);
-        
-        sim.pool.initPeriod(sim.period);
-        sim.xMarket.clear();
-        
-        if (sync){
-            sim.pool.syncRun(sim.pool.endTime());
-            return (atEndOfPeriod());
-        }
-        if (!(sim.config.realtime)){
-            return (sim
-                    .pool
-                    .runAsPromise(sim.pool.endTime(),10)
-                    .then(atEndOfPeriod)
-                   );
-        }           
-        return new Promise(function(resolve,reject){
-            function onRealtimeWake(endTime){
-                if (!endTime)
-                    return reject("period endTime required for onRealtimeWake, got: "+endTime);
-                return function(){
-                    const now = (Date.now()/1000.0)-sim.realtime;
-                    if (now>=endTime){
-                        clearInterval(sim.realtimeIntervalId);
-                        delete sim.realtimeIntervalId;
-                        sim.pool.syncRun(endTime);
-                        return resolve(atEndOfPeriod());
-                    } 
-                    sim.pool.syncRun(now);
-                };
-            }
-            
-            if (sim.realtimeIntervalId){
-                clearInterval(sim.realtimeIntervalId);
-                return reject("sim has unexpected realtimeIntervalId");
-            }
+    /**
+     * wait for every RemoteAgent to join and subscribe to its events
+     * @param {Object} [signal] AbortSignal that also ends the wait
+     * @return {Promise<Object>} resolves to this gateway
+     */
 
-            /* adjust realtime offset */
-            
-            sim.realtime = (Date.now()/1000.0)-(sim.pool.agents[0].period.startTime);
-            
-            /* run asynchronously, and in realtime, endTime() is called immediately and onRealtimeWake(...) returns actual handler function */
-            
-            sim.realtimeIntervalId = setInterval(onRealtimeWake(sim.pool.endTime()), 40);
-                    
-        });     
+    ready(signal){
+        const gateway = this;
+        return new Promise(function(resolve){
+            if (gateway.isReady() || (signal && signal.aborted))
+                return resolve(gateway);
+            function done(){
+                gateway.waiting = gateway.waiting.filter((f)=>(f!==done));
+                if (signal) signal.removeEventListener('abort', done);
+                resolve(gateway);
+            }
+            gateway.waiting.push(done);
+            if (signal)
+                signal.addEventListener('abort', done);
+        });
     }
 
-    /** 
-     * Calculate simple maxGainsFromTrade() from simulation configuration buyerValues and sellerCosts
-     * by sorting buyers' units high value first, and sellers' costs low value first, and adding profitable pairs
-     * Slice and sort first to be robust against values/costs being unsorted. 
-     * This is currently used only for logging purposes.  No market or agent behavior should typically depend on this function. 
+    /**
+     * resolve the promises from ready() if every RemoteAgent has subscribed
      * @private
      */
 
-    getMaximumPossibleGainsFromTrade(){
-        const sim = this;
-        if (sim.maximumPossibleGainsFromTrade) return sim.maximumPossibleGainsFromTrade;
-        let result = 0;
-        if (Array.isArray(sim.config.buyerValues) && Array.isArray(sim.config.sellerCosts)){
-            const buyerV = sim.config.buyerValues.slice().sort(function(a,b){ return +b-a; });
-            const sellerC = sim.config.sellerCosts.slice().sort(function(a,b){ return +a-b;});
-            let i = 0;
-            let l = Math.min(buyerV.length,sellerC.length);
-            while ((i<l) && (buyerV[i]>sellerC[i])){
-                result += (buyerV[i]-sellerC[i]);
-                ++i;
-            }
+    checkReady(){
+        const gateway = this;
+        if (gateway.isReady()){
+            const waiting = gateway.waiting;
+            gateway.waiting = [];
+            waiting.forEach((resolve)=>(resolve(gateway)));
         }
-        sim.maximumPossibleGainsFromTrade = result;
-        return result;
     }
-                
 
     /**
-     * Perform end-of-period simulation logging of profits, open/high/low/close trade prices, etc.
-     * called automatically
+     * send a wake event to a RemoteAgent and wait for its reply to /order, the timeout, the end of its event stream, or the signal to abort
+     * @param {Object} A RemoteAgent at its wake time
+     * @param {Object} [signal] AbortSignal that also ends the wait
+     * @return {Promise} resolves when the wake is answered, or not answered in time
      * @private
      */
-   
-    
-    logPeriod(){
-        const sim = this;
-        const finalMoney = sim.pool.agents.map(function(A){ return A.inventory.money; });
-        function ohlc(){
-            if (sim.periodTradePrices.length>0){
-                const o = sim.periodTradePrices[0];
-                const h = Math.max(...sim.periodTradePrices);
-                const l = Math.min(...sim.periodTradePrices);
-		const c = sim.periodTradePrices[sim.periodTradePrices.length-1];
-		const volume = sim.periodTradePrices.length;
-		const median = stats.median(sim.periodTradePrices);
-		const mean = stats.mean(sim.periodTradePrices);
-		const sd = stats.stdev(sim.periodTradePrices);
-                return [sim.period,o,h,l,c,volume,median,mean,sd];
+
+    requestOrder(A, signal){
+        const gateway = this;
+        return new Promise(function(resolve){
+            if (signal && signal.aborted)
+                return resolve();
+            function abort(){
+                gateway.settle(A.id);
             }
-        }
-        if (sim.logs.profit)
-            sim.logs.profit.write(finalMoney);
-        if (sim.logs.ohlc)
-            sim.logs.ohlc.write(ohlc());
-        if (sim.logs.effalloc){
-            let finalMoneySum = 0.0;
-            for(let i=0,l=finalMoney.length;i<l;++i) finalMoneySum+=finalMoney[i];
-            let maxPossible = sim.getMaximumPossibleGainsFromTrade();
-            if (maxPossible>0)
-                sim.logs.effalloc.write([sim.period, 100*(finalMoneySum/maxPossible)]);
-        }
-        sim.periodTradePrices = [];
+            gateway.pending[A.id] = {
+                t: A.wakeTime,
+                resolve(){
+                    if (signal) signal.removeEventListener('abort', abort);
+                    resolve();
+                },
+                timer: setTimeout(()=>(gateway.settle(A.id)), gateway.timeout)
+            };
+            if (signal)
+                signal.addEventListener('abort', abort);
+            const sent = gateway.notify(A.id, 'wake', {
+                period: gateway.sim.period,
+                t: A.wakeTime,
+                value: A.unitValueFunction('X', A.inventory),
+                cost: A.unitCostFunction('X', A.inventory)
+            });
+            if (!sent)
+                gateway.settle(A.id);
+            return undefined;
+        });
     }
 
     /**
-     * called to log each compliant order
-     *
+     * end the wait for a RemoteAgent's reply to a wake event
+     * @param {number} id agent id
      * @private
      */
 
-    logOrder(prefix, orderArray){
-        const sim = this;
-        const order = MEC.ao(orderArray);
-        const agent = sim.pool.agentsById[order.id];
-        const buyLog = prefix+'buyorder';
-        const sellLog = prefix+'sellorder'; 
-        if ((agent) && (order.buyPrice) && (sim.logs[buyLog])){
-            sim.logs[buyLog].write([
-                sim.period,
-                order.t,
-                order.t-(sim.period*sim.periodDuration),
-                order.id,
-                agent.inventory.X,
-                order.buyPrice, 
-                agent.unitValueFunction('X',agent.inventory), 
-                '',
-                ''
-            ]);
-            
-        }
-        if ((agent) && (order.sellPrice) && (sim.logs[sellLog])){
-            sim.logs[sellLog].write([
-                sim.period, 
-                order.t,
-                order.t-(sim.period*sim.periodDuration),
-                order.id, 
-                agent.inventory.X,
-                '',
-                '',
-                order.sellPrice,
-                agent.unitCostFunction('X',agent.inventory)
-            ]);     
+    settle(id){
+        const pending = this.pending[id];
+        if (pending){
+            clearTimeout(pending.timer);
+            delete this.pending[id];
+            pending.resolve();
         }
     }
 
     /**
-     * called to log each trade in simulation
+     * wake the simulation's agents until untilTime, as Pool.runAsPromise does, but wait for the remote robot's reply when a RemoteAgent wakes.
+     * Used by Simulation.runPeriod() for asynchronous runs.
+     * @param {number} untilTime simulation time to run until
+     * @param {Object} [signal] AbortSignal; aborting ends the run at once, without waiting for a pending reply
+     * @return {Promise<Object,Error>} resolves to the simulation's pool
      * @private
      */
 
-    logTrade(tradespec){
-        const sim = this;
-        const idCol = sim.xMarket.o.idCol;
+    runPool(untilTime, signal){
+        const gateway = this;
+        const pool = gateway.sim.pool;
+        return new Promise(function(resolve, reject){
+            function loop(){
+                try {
+                    for(let calls=0;calls<10;++calls){
+                        const A = pool.next();
+                        if (!(A && (A.wakeTime<untilTime)) || (signal && signal.aborted))
+                            return resolve(pool);
+                        if (A instanceof RemoteAgent)
+                            return (gateway
+                                    .requestOrder(A, signal)
+                                    .then(function(){
+                                        pool.wake();
+                                        setImmediate(loop);
+                                    })
+                                    .catch(reject)
+                                   );
+                        pool.wake();
+                    }
+                } catch(e){
+                    return reject(e);
+                }
+                return setImmediate(loop);
+            }
+            setImmediate(loop);
+        });
+    }
+}
 
-        /* istanbul ignore if */
+/**
+ * two-sided 95% critical values of Student's t distribution, indexed by degrees of freedom 1 to 30.  Beyond 30, 1.96 is used.
+ * @private
+ */
 
-        if (idCol === undefined )
-            throw new Error("Simulation.prototype.logTrade: sim.xMarket.o.idCol is undefined");
-        // this is only sufficient for single unit trades
-        if ( (tradespec.totalQ!==1) ||
-             (tradespec.buyA.length!==1) ||
-             (tradespec.sellA.length!==1) )
-            throw new Error("Simulation.prototype.logTrade: single unit trades required, got: "+tradespec.totalQ);
-        const buyerid  = sim.xMarket.a[tradespec.buyA[0]][idCol];
+const t95 = [undefined,12.706,4.303,3.182,2.776,2.571,2.447,2.365,2.306,2.262,2.228,2.201,2.179,2.160,2.145,2.131,2.120,2.110,2.101,2.093,2.086,2.080,2.074,2.069,2.064,2.060,2.056,2.052,2.048,2.045,2.042];
 
-        /* istanbul ignore if */
+/**
+ * per-period measures summarized across replications by replicationSummary(), as keys of Simulation.periodStats
+ * @type {string[]}
+ */
 
-        if (buyerid===undefined)
-            throw new Error("Simulation.prototype.logTrade: buyerid is undefined, tradespec="+JSON.stringify(tradespec));
-        const sellerid = sim.xMarket.a[tradespec.sellA[0]][idCol];
+export const summaryMeasures = ['efficiencyOfAllocation','volume','close','mean'];
 
-        /* istanbul ignore if */
+/**
+ * header for rows returned by replicationSummary()
+ * @type {string[]}
+ */
 
-        if (sellerid===undefined)
-            throw new Error("Simulation.prototype.logTrade: sellerid is undefined, tradespec="+JSON.stringify(tradespec));
-        const tradePrice = tradespec.prices[0];
-        if (!tradePrice) throw new Error("Simulation.prototype.logTrade: undefined price in trade ");
-        const tradeBuyerValue = sim.pool.agentsById[buyerid].unitValueFunction('X', sim.pool.agentsById[buyerid].inventory);
-        const tradeBuyerProfit = tradeBuyerValue-tradePrice;
-        const tradeSellerCost = sim.pool.agentsById[sellerid].unitCostFunction('X', sim.pool.agentsById[sellerid].inventory);
-        const tradeSellerProfit = tradePrice-tradeSellerCost;
-        const tradeOutput = [
-            sim.period,
-            tradespec.t,
-            tradespec.t-(sim.period*sim.periodDuration),
-            tradePrice,
-            buyerid,
-            tradeBuyerValue,
-            tradeBuyerProfit,
-            sellerid,
-            tradeSellerCost,
-            tradeSellerProfit
-        ];
-        sim.periodTradePrices.push(tradePrice);
-        if (sim.logs.trade)
-            sim.logs.trade.write(tradeOutput);
+export const summaryHeader = ['period','measure','n','mean','sd','ciLower','ciUpper'];
+
+/**
+ * summarize per-period results across replications of the same configuration.
+ * For each period and each measure in summaryMeasures, reports the number of replications with a value, 
+ * the mean, the sample standard deviation, and a 95% confidence interval for the mean using Student's t.  
+ * Periods without trades have no close or mean price and are omitted from those measures.
+ * @param {Object[]} sims completed Simulation objects, one for each replication
+ * @return {Array<Array>} rows in summaryHeader format, ordered by period and then measure. sd and confidence interval are blank when n<2.
+ */
+
+export function replicationSummary(sims){
+    const rows = [];
+    const periods = Math.max(0, ...sims.map((sim)=>(sim.periodStats.length)));
+    for(let p=0;p<periods;++p){
+        summaryMeasures.forEach(function(measure){
+            const values = (sims
+                            .map((sim)=>(sim.periodStats[p] && sim.periodStats[p][measure]))
+                            .filter((v)=>(typeof(v)==='number'))
+                           );
+            const n = values.length;
+            if (n===0) return;
+            const mean = stats.mean(values);
+            if (n===1)
+                return rows.push([p+1, measure, n, mean, '', '', '']);
+            const sd = stats.sampleStdev(values);
+            const halfWidth = (t95[n-1] || 1.96)*sd/Math.sqrt(n);
+            rows.push([p+1, measure, n, mean, sd, mean-halfWidth, mean+halfWidth]);
+        });
     }
+    return rows;
+}
 
-    /**
-     * run simulation
-     * @param {Object} [options]
-     * @param {boolean} [options.sync=false] true to run synchronously, returns simulation object (not a Promise) 
-     * @param {function(sim:Object)} [options.update]  update Optional end of period function
-     * @param {number} [options.delay=20] delay timeout between periods in ms. Only effective in asynchronous mode.
-     * @param {number} [options.deadline=0] deadline to compare with Date.now() -- If over deadline, return available data.  0 disables.
-     * @return {Promise<Object,Error>} resolves to simulation object
-     */
+/**
+ * header for the index log written by runBatch(), one row per completed run
+ * @type {string[]}
+ */
 
-    run(options){
-	const defaults = {sync:false, update:((s)=>(s)), delay: 20, deadline:0};
-	const { sync, update, delay, deadline } = Object.assign({}, defaults, options);
-        const sim = this;
-        const config = this.config;
-        if (typeof(update)!=='function')
-            throw new Error("expected 'update' to be a function, got: "+typeof(update));
+export const batchIndexHeader = ['config','replication','logDir','seed'];
 
-        function forceFinish(){
-            config.periodsRequested = config.periods;
-            config.periods = sim.period;
-        }
-        
-        /* istanbul ignore if */
-        
-        if (!config.silent)
-            console.log("Periods = "+config.periods);
-        
-        if (sync){
-            while(sim.period<config.periods){
-                sim.runPeriod(true);  // pass true to .runPeriod to run synchronously
-                update(sim);
-                if ((deadline) && (Date.now()>deadline)) forceFinish();
-            }
+/**
+ * header for the summary log written by runBatch(), replicationSummary() rows prefixed by config number
+ * @type {string[]}
+ */
 
-            /* istanbul ignore if */
+export const batchSummaryHeader = ['config'].concat(summaryHeader);
 
-            if (!config.silent)
-                console.log("done");
-            
-            return sim;
+/**
+ * list the runs of a batch, replications of each configuration in turn
+ * @param {Object[]} configs array of Simulation configurations
+ * @param {number} replications number of replications of each configuration
+ * @param {string} logDir directory containing the run directories
+ * @return {Object[]} array of {config, replication, logDir, seed}, where seed is config.seed+replication, or '' if config has no seed
+ * @private
+ */
+
+function batchRuns(configs, replications, logDir){
+    const runs = [];
+    configs.forEach(function(config, i){
+        for(let r=0;r<replications;++r){
+            runs.push({
+                config: i,
+                replication: r,
+                logDir: logDir+"/config"+i+"-replication"+r,
+                seed: (config.seed===undefined)? '': (config.seed+r)
+            });
         }
+    });
+    return runs;
+}
 
-        return new Promise(function(resolve,reject){
-            function loop(){
-                (sim
-                 .runPeriod()
-                 .then(update)
-                 .then(
-                     function(s){
-                         if ((deadline) && (Date.now()>deadline)) forceFinish();
-                         return (s.period<config.periods)? setTimeout(loop,delay): resolve(s);
-                     },
-                     ((e)=>reject(e))
-                 )
-                );
-            }
-            loop();
+/**
+ * write the summary log of a batch, replicationSummary() rows for each configuration prefixed by config number
+ * @param {Object[]} configs array of Simulation configurations
+ * @param {Object[]} results one object with .periodStats for each run, in batchRuns() order
+ * @param {Object} options {logDir, logToFileSystem} for summary.csv
+ * @return {Object} summary Log
+ * @private
+ */
+
+function batchSummary(configs, results, options){
+    const summary = new Log(options.logDir+"/summary.csv", options.logToFileSystem).setHeader(batchSummaryHeader);
+    const replications = results.length/configs.length;
+    configs.forEach(function(config, i){
+        replicationSummary(results.slice(i*replications, (i+1)*replications)).forEach((row)=>(summary.write([i].concat(row))));
+    });
+    return summary;
+}
+
+/**
+ * run every configuration in an array of configurations for a number of replications, each run logging into its own directory,
+ * and write index.csv recording which configuration and replication ran in which directory, 
+ * and summary.csv with replicationSummary() statistics for each configuration.
+ * If a configuration has a seed, replication r of that configuration is run with seed+r.
+ * On the file system, run directories are created as needed inside options.logDir, which must already exist.
+ * @param {Object[]} configs array of Simulation configurations, as described in configSchema.json
+ * @param {Object} [options]
+ * @param {number} [options.replications=1] number of replications of each configuration
+ * @param {string} [options.logDir="."] directory for index.csv and the run directories
+ * @param {boolean} [options.logToFileSystem] forwarded to the index Log; undefined tests for 'fs' module
+ * @param {boolean} [options.sync=false] true to run synchronously, returns result object (not a Promise)
+ * @param {function(sim:Object)} [options.update] Optional end of period function, passed to each Simulation.run()
+ * @return {Object|Promise<Object,Error>} result object {index, summary, runs}, where index and summary are Logs and runs is an array of {config, replication, logDir, seed, sim} in the order run
+ */
+
+export function runBatch(configs, options){
+    const defaults = {replications:1, logDir:".", sync:false, update:((s)=>(s))};
+    const {replications, logDir, logToFileSystem, sync, update} = Object.assign({}, defaults, options);
+    if (!Array.isArray(configs))
+        throw new Error("runBatch: expected configs to be an array, got: "+typeof(configs));
+    const index = new Log(logDir+"/index.csv", logToFileSystem).setHeader(batchIndexHeader);
+    const runs = batchRuns(configs, replications, logDir);
+    function newRun(run){
+        const config = Object.assign({}, configs[run.config], {logDir: run.logDir});
+        if (run.seed!=='')
+            config.seed = run.seed;
+        const streams = Object.keys(config.logSinks || {}).some((name)=>(config.logSinks[name]==='stream'));
+        if ((index.useFS || config.logToFileSystem || streams) && !(fs.existsSync(run.logDir)))
+            fs.mkdirSync(run.logDir);
+        return new Simulation(config);
+    }
+    function finishRun(run, sim){
+        run.sim = sim.closeLogs();
+        index.submit(run, '');
+    }
+    function finishBatch(){
+        const summary = batchSummary(configs, runs.map((run)=>(run.sim)), {logDir, logToFileSystem});
+        return {index, summary, runs};
+    }
+    if (sync){
+        runs.forEach(function(run){
+            finishRun(run, newRun(run).run({sync:true, update}));
         });
+        return finishBatch();
     }
+    return (runs
+            .reduce(function(previous, run){
+                return (previous
+                        .then(()=>(newRun(run).run({update})))
+                        .then((sim)=>(finishRun(run, sim)))
+                       );
+            }, Promise.resolve())
+            .then(finishBatch)
+           );
 }
     
+/**
+ * load the nodejs worker_threads module on demand, for runBatchParallel() and replicationWorker(), 
+ * so that this module still loads where worker threads are missing, e.g. in the browser or node before 10.5
+ * @return {Object|undefined} worker_threads module, or undefined if it is not available
+ * @private
+ */
+
+function workerThreads(){
+    try {
+        return module.require('worker_threads');
+    } catch(e){
+        return undefined;
+    }
+}
+
+/**
+ * run one replication in a worker thread for runBatchParallel(), for each task received from the main thread, until sent null.
+ * Logs are kept in memory and returned to the main thread with the run's periodStats.
+ * @private
+ */
+
+export function replicationWorker(){
+    const {parentPort} = workerThreads();
+    parentPort.on('message', function(task){
+        if (!task)
+            return parentPort.close();
+        try {
+            const config = Object.assign({}, task.config, {logToFileSystem:false, logSinks:undefined, silent:true});
+            const sim = new Simulation(config).run({sync:true});
+            const logs = {};
+            Object.keys(sim.logs).forEach(function(name){ logs[name] = sim.logs[name].data; });
+            parentPort.postMessage({index: task.index, periodStats: sim.periodStats, logs});
+        } catch(e){
+            parentPort.postMessage({index: task.index, error: e.message});
+        }
+    });
+}
+
+/**
+ * run every configuration in an array of configurations for a number of replications, like runBatch(), but spread across a pool of 
+ * worker threads, each constructing its own Simulation.  Each run's logs are kept in memory in its worker and collected in the main thread; 
+ * on the file system, they are then written to the run directories inside options.logDir as in runBatch(), along with index.csv and summary.csv.
+ * Every run is seeded: replication r of a configuration runs with seed config.seed+r, or seed r if the configuration has no seed, 
+ * so the results do not depend on the number of workers.  
+ * Configurations with config.logSinks or config.journal are rejected, as the workers keep every log in memory as csv rows and do not return journals; 
+ * run those with runBatch().
+ * @param {Object[]} configs array of Simulation configurations, as described in configSchema.json
+ * @param {Object} [options]
+ * @param {number} [options.replications=1] number of replications of each configuration
+ * @param {number} [options.workers] number of worker threads, default is the number of CPUs
+ * @param {string} [options.logDir="."] directory for index.csv, summary.csv, and the run directories
+ * @param {boolean} [options.logToFileSystem] forwarded to the index, summary and run Logs; undefined tests for 'fs' module
+ * @param {string[]} [options.execArgv=[]] node options for the workers, e.g. ['--require','babel-register'] when running from source
+ * @return {Promise<Object,Error>} resolves to {index, summary, runs}, where runs is an array of {config, replication, logDir, seed, periodStats, logs} in batch order, and logs has the rows of each log, header first;
+ * rejects if worker threads are not available, e.g. in the browser or node before 10.5, if a configuration sets logSinks or journal, 
+ * or if a worker exits with a non-zero code or before reporting its run
+ */
+
+export function runBatchParallel(configs, options){
+    const defaults = {replications:1, logDir:".", workers:os.cpus().length, execArgv:[]};
+    const {replications, logDir, logToFileSystem, workers, execArgv} = Object.assign({}, defaults, options);
+    if (!Array.isArray(configs))
+        throw new Error("runBatchParallel: expected configs to be an array, got: "+typeof(configs));
+    const threadsModule = workerThreads();
+    if (!threadsModule)
+        return Promise.reject(new Error("runBatchParallel: worker threads are not available in this environment, use runBatch() instead"));
+    const unsupported = [];
+    configs.forEach(function(config, i){
+        ['logSinks','journal'].forEach(function(k){
+            if (config[k])
+                unsupported.push("configs["+i+"]."+k);
+        });
+    });
+    if (unsupported.length>0)
+        return Promise.reject(new Error("runBatchParallel: not supported in worker threads, use runBatch() instead: "+unsupported.join(", ")));
+    const runs = batchRuns(configs, replications, logDir);
+    runs.forEach(function(run){
+        if (run.seed==='')
+            run.seed = run.replication;
+    });
+    const workerCode = "require("+JSON.stringify(__filename)+").replicationWorker();";
+    return new Promise(function(resolve, reject){
+        const threads = [];
+        let nextRun = 0, runsDone = 0, failed = false;
+        function fail(e){
+            if (failed) return;
+            failed = true;
+            threads.forEach((thread)=>(thread.terminate()));
+            reject(e);
+        }
+        // sends the thread its next run, returning the run's index, or tells it to close and returns undefined
+        function assign(thread){
+            if (nextRun>=runs.length){
+                thread.postMessage(null);
+                return undefined;
+            }
+            const run = runs[nextRun];
+            thread.postMessage({index: nextRun, config: Object.assign({}, configs[run.config], {seed: run.seed})});
+            return nextRun++;
+        }
+        function finish(){
+            const index = new Log(logDir+"/index.csv", logToFileSystem).setHeader(batchIndexHeader);
+            runs.forEach(function(run){
+                if (index.useFS){
+                    if (!(fs.existsSync(run.logDir)))
+                        fs.mkdirSync(run.logDir);
+                    Object.keys(run.logs).forEach(function(name){
+                        const log = new Log(run.logDir+"/"+name+".csv", logToFileSystem);
+                        run.logs[name].forEach((row)=>(log.write(row)));
+                        closeLog(log);
+                    });
+                }
+                index.submit(run, '');
+            });
+            const summary = batchSummary(configs, runs, {logDir, logToFileSystem});
+            resolve({index, summary, runs});
+        }
+        function startThread(){
+            const thread = new threadsModule.Worker(workerCode, {eval:true, execArgv});
+            let running;
+            thread.on('message', function(result){
+                if (result.error)
+                    return fail(new Error("runBatchParallel: run "+result.index+": "+result.error));
+                Object.assign(runs[result.index], {periodStats: result.periodStats, logs: result.logs});
+                runsDone++;
+                if (runsDone===runs.length)
+                    finish();
+                running = assign(thread);
+            });
+            thread.on('error', fail);
+            thread.on('exit', function(code){
+                if ((code!==0) || (running!==undefined))
+                    fail(new Error("runBatchParallel: worker exited with code "+code+((running===undefined)? "": " before reporting run "+running)));
+            });
+            threads.push(thread);
+            running = assign(thread);
+        }
+        if (runs.length===0)
+            return finish();
+        for(let i=0,l=Math.max(1, Math.min(workers, runs.length));i<l;++i)
+            startThread();
+    });
+}
+
+/**
+ * usage message for the stand-alone app
+ * @type {string}
+ */
+
+export const commandLineUsage = [
+    "usage: single-market-robot-simulator [options] [config.json]",
+    "",
+    "  --config <file>        simulation config, or array of configs, in JSON (default: ./config.json)",
+    "  --out <dir>            directory for log files and the period progress file, created if needed (default: config logDir, or .)",
+    "  --periods <N>          override config periods",
+    "  --seed <N>             override config seed",
+    "  --logs <a,b,...>       keep only these logs, e.g. trade,ohlc",
+    "  --replications <N>     replications of each config when the config file contains an array (default: 1)",
+    "  --workers <N>          run the replications of an array of configs in N worker threads",
+    "  --checkpoint-every <N> write checkpoint.json to the log directory every N periods",
+    "  --resume <file>        continue from a checkpoint file, appending to its logs, instead of reading a config",
+    "  --quiet                suppress console messages",
+    "  --async                run asynchronously",
+    "  --help                 show this message"
+].join("\n");
+
+/**
+ * parse command line arguments for the stand-alone app.  A lone argument ending in .json is taken as --config, for compatibility.
+ * @param {string[]} args command line arguments, e.g. process.argv.slice(2)
+ * @return {Object} options with keys config, out, periods, seed, logs, replications, workers, checkpointEvery, resume, quiet, async, help for the arguments present
+ * @throws {Error} on unknown options, missing values, or non-numeric values for --periods, --seed, --replications, --workers, or --checkpoint-every
+ */
+
+export function parseCommandLine(args){
+    const withValue = {
+        '--config':'config',
+        '--out':'out',
+        '--periods':'periods',
+        '--seed':'seed',
+        '--logs':'logs',
+        '--replications':'replications',
+        '--workers':'workers',
+        '--checkpoint-every':'checkpointEvery',
+        '--resume':'resume'
+    };
+    const flags = {'--quiet':'quiet', '--async':'async', '--help':'help'};
+    const options = {};
+    for(let i=0,l=args.length;i<l;++i){
+        const arg = args[i];
+        if (flags[arg]){
+            options[flags[arg]] = true;
+        } else if (withValue[arg]){
+            if ((i+1)>=l)
+                throw new Error("missing value for "+arg);
+            options[withValue[arg]] = args[++i];
+        } else if (arg.endsWith(".json") && !(options.config)){
+            options.config = arg;
+        } else {
+            throw new Error("unknown option: "+arg);
+        }
+    }
+    const numeric = {
+        periods:'--periods',
+        seed:'--seed',
+        replications:'--replications',
+        workers:'--workers',
+        checkpointEvery:'--checkpoint-every'
+    };
+    Object.keys(numeric).forEach(function(k){
+        if (options[k]!==undefined){
+            const n = +options[k];
+            if (!(isFinite(n)) || (options[k].trim()===''))
+                throw new Error("expected a number for "+numeric[k]+", got: "+options[k]);
+            options[k] = n;
+        }
+    });
+    if (options.logs!==undefined)
+        options.logs = options.logs.split(",").filter((s)=>(s.length>0));
+    return options;
+}
+
+/**
+ * create a directory and any missing parent directories, like mkdir -p, for node versions where fs.mkdirSync has no recursive option
+ * @param {string} dir directory path, relative or absolute
+ * @private
+ */
+
+function makeDirectories(dir){
+    const parts = dir.split(/[\\/]/);
+    for(let i=1,l=parts.length;i<=l;++i){
+        const parent = parts.slice(0,i).join('/');
+        if (parent && !(fs.existsSync(parent)))
+            fs.mkdirSync(parent);
+    }
+}
+
+/**
+ * config properties set by command line options, from --periods, --seed, --logs and --quiet
+ * @param {Object} options options from parseCommandLine()
+ * @return {Object} config overrides
+ * @private
+ */
+
+function commandLineOverrides(options){
+    const overrides = {};
+    if (options.periods!==undefined) overrides.periods = options.periods;
+    if (options.seed!==undefined) overrides.seed = options.seed;
+    if (options.logs!==undefined) overrides.logs = options.logs;
+    if (options.quiet) overrides.silent = true;
+    return overrides;
+}
+
 /* the next comment tells the coverage tester that the main() function is not tested by the test suite */
 /* istanbul ignore next */
 
 function main(){
 
     /**
-     * in stand-alone mode, read simulation config from ./config.json and run simulation synchronously, outputting log files in .csv format
+     * in stand-alone mode, read simulation config from ./config.json or --config, apply command line overrides, and run simulation, outputting log files in .csv format.
+     * if the config file contains an array of configurations, run each of them --replications N times (default 1) with runBatch()
+     * sets a non-zero exit status on invalid arguments or configs
      */
     
     /* suggested by Krumia's http://stackoverflow.com/users/1461424/krumia */
@@ -610,17 +3607,94 @@ function main(){
 
     global.fs = fs;
 
-    const simConfigFileName = ( process.argv.find((s)=>(s.endsWith(".json"))) ) || "./config.json";
+    let options;
+    try {
+        options = parseCommandLine(process.argv.slice(2));
+    } catch(e){
+        console.error(e.message);
+        console.error(commandLineUsage);
+        process.exitCode = 2;
+        return;
+    }
+
+    if (options.help){
+        console.log(commandLineUsage);
+        return;
+    }
 
-    function mainPeriod(sim){
-        fs.writeFileSync('./period', sim.period);
+    function fail(e){
+        console.error(e.message);
+        process.exitCode = 1;
+    }
+
+    // --out overrides the config's logDir; without it, logs go to the config's logDir, or the current directory
+    let logDir = options.out || ".";
+    const overrides = commandLineOverrides(options);
+
+    function saveJournals(result){
+        const runs = result.runs || [{sim: result, logDir}];
+        runs.forEach(function(run){
+            if (run.sim.journal)
+                fs.writeFileSync(run.logDir+'/journal.json', JSON.stringify(run.sim.journal));
+        });
     }
-    const config = JSON.parse(
-        fs.readFileSync(simConfigFileName, 'utf8')
-    );
 
-    new Simulation(config).run({sync:true, update:mainPeriod });
+    function mainPeriod(sim){
+        fs.writeFileSync(logDir+'/period', String(sim.period));
+        if ((options.checkpointEvery>0) && (sim.period%options.checkpointEvery===0)){
+            const fname = (sim.config.logDir || logDir)+'/checkpoint.json';
+            // write then rename, so that a crash while writing leaves the previous checkpoint intact
+            fs.writeFileSync(fname+'.tmp', JSON.stringify(sim.checkpoint()));
+            fs.renameSync(fname+'.tmp', fname);
+        }
+        return sim;
+    }
 
+    try {
+        const sync = !options.async;
+        let result;
+        if (options.resume){
+            const checkpoint = JSON.parse(fs.readFileSync(options.resume, 'utf8'));
+            logDir = options.out || checkpoint.config.logDir || ".";
+            makeDirectories(logDir);
+            result = Simulation.resume(checkpoint, overrides).run({sync, update:mainPeriod});
+            if (sync)
+                saveJournals(result);
+            else
+                result.then(saveJournals).catch(fail);
+            return;
+        }
+        const config = JSON.parse(
+            fs.readFileSync(options.config || "./config.json", 'utf8')
+        );
+        if (!(Array.isArray(config)))
+            logDir = options.out || config.logDir || ".";
+        makeDirectories(logDir);
+        if (Array.isArray(config)){
+            const configs = config.map((c)=>(Object.assign({}, c, overrides)));
+            const problems = [];
+            configs.forEach(function(c, i){
+                validateConfig(c).forEach((problem)=>(problems.push("configs["+i+"]: "+problem)));
+            });
+            if (problems.length>0)
+                throw new Error("single-market-robot-simulation: invalid config\n"+problems.join("\n"));
+            if (options.workers>0){
+                // running from source, e.g. with babel-node, the workers must also load src/index.js through babel
+                const execArgv = (/[\\/]src[\\/]index\.js$/.test(__filename))? ['--require','babel-core/register']: [];
+                runBatchParallel(configs, {replications: options.replications || 1, logDir, workers: options.workers, execArgv}).catch(fail);
+                return;
+            }
+            result = runBatch(configs, {replications: options.replications || 1, logDir, sync, update:mainPeriod});
+        } else {
+            result = new Simulation(Object.assign({}, config, overrides, {logDir})).run({sync, update:mainPeriod});
+        }
+        if (sync)
+            saveJournals(result);
+        else
+            result.then(saveJournals).catch(fail);
+    } catch(e){
+        fail(e);
+    }
 }
 
 if (typeof(module)==='object'){
@@ -1,41 +1,118 @@
 /* eslint-env node, mocha */
 
-/* eslint no-console: "off", newline-per-chained-call: "off" */
+/* eslint no-console: "off", newline-per-chained-call: "off", no-sync: "off" */
 
 import assert from 'assert';
 import 'should';
 import * as singleMarketRobotSimulator from '../src/index.js';
 import * as MEC from 'market-example-contingent';
 import * as MarketAgents from 'market-agents';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import {EventEmitter} from 'events';
+import * as http from 'http';
+import * as childProcess from 'child_process';
 
 const {Simulation} = singleMarketRobotSimulator;
 const {Pool, ZIAgent} = MarketAgents;
 
+function tmpDir(prefix){
+    return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+// stands in for AbortController, not a global before node 15: a signal with .aborted, adding and removing 'abort' listeners as an AbortSignal does
+function abortController(){
+    const signal = new EventEmitter();
+    signal.aborted = false;
+    signal.addEventListener = signal.on;
+    signal.removeEventListener = signal.removeListener;
+    return {
+        signal,
+        abort(){
+            if (!signal.aborted){
+                signal.aborted = true;
+                signal.emit('abort');
+            }
+        }
+    };
+}
+
+function removeDir(dir){
+    fs.readdirSync(dir).forEach(function(name){
+        const f = path.join(dir, name);
+        if (fs.statSync(f).isDirectory())
+            removeDir(f);
+        else
+            fs.unlinkSync(f);
+    });
+    fs.rmdirSync(dir);
+}
+
+// three buyers and three sellers for tests that submit scripted orders to one period
+const configScripted = {
+    L:1,
+    H:200,
+    buyerValues: [150,120,100],
+    sellerCosts: [20,40,60],
+    buyerAgentType: ["ZIAgent"],
+    sellerAgentType: ["ZIAgent"],
+    periods: 1,
+    silent: true
+};
+
+// runs one period of configScripted, overridden by config, in which only the given orders are submitted, and logs it
+function scripted(config, orders){
+    let S = new Simulation(Object.assign({}, configScripted, config));
+    S.period = 1;
+    S.pool.initPeriod(1);
+    S.xMarket.clear();
+    orders.forEach(function(order){
+        S.xMarket.submit(MEC.oa(Object.assign({t:1001}, order)));
+        while(S.xMarket.process()){} // eslint-disable-line no-empty
+    });
+    S.pool.endPeriod();
+    S.logPeriod();
+    return S;
+}
+
 const tradeLogHeader = [
     'period',
     't',
     'tp',
     'price',
+    'q',
     'buyerAgentId',
     'buyerValue',
     'buyerProfit',
     'sellerAgentId',
     'sellerCost',
-    'sellerProfit'
+    'sellerProfit',
+    'buyerTax',
+    'sellerTax',
+    'buyerNetProfit',
+    'sellerNetProfit'
 ];
 
+const profitLogHeader = ['period','agentId','role','agentType','profit','unitsTraded','grossProfit','tax'];
+
+const rosterLogHeader = ['period','agentId','role','agentType','rate','values','costs'];
+
 const combinedOrderLogHeader = [
     'period',
     't',
     'tp',
     'id',
     'x',
+    'q',
     'buyLimitPrice',
     'value',
     'sellLimitPrice',
     'cost'
 ];
 
+const rejectOrderLogHeader = combinedOrderLogHeader.concat(['reason']);
+
 describe('logNames ', function(){
     it('should be defined', function(){
         singleMarketRobotSimulator.logNames.length.should.be.above(0);
@@ -62,8 +139,7 @@ describe('order log headers ',  function(){
         (singleMarketRobotSimulator
          .logNames
          .filter((n)=>(n.includes("order")))
-         .map((n)=>(singleMarketRobotSimulator.logHeaders[n]))
-         .forEach((h)=>(h.should.deepEqual(combinedOrderLogHeader)))
+         .forEach((n)=>(singleMarketRobotSimulator.logHeaders[n].should.deepEqual((n.startsWith("reject"))? rejectOrderLogHeader: combinedOrderLogHeader)))
         );
     });
 });
@@ -79,6 +155,108 @@ describe('blank Simulation not allowed', function(){
     });
 });
 
+describe('validateConfig', function(){
+
+    const {validateConfig, agentRegister, configSchema} = singleMarketRobotSimulator;
+    let validConfig = {
+        L:1,
+        H:100,
+        buyerValues: [10,9,8],
+        sellerCosts: [20,40],
+        buyerAgentType: ["ZIAgent","KaplanSniperAgent"],
+        sellerAgentType: ["UnitAgent"],
+        buyerRate: [1.0,1.0],
+        sellerRate: 1.0,
+        xMarket: {buySellBookLimit:0, resetAfterEachTrade:true},
+        silent: true
+    };
+
+    it('should return an empty list for a valid config', function(){
+        validateConfig(validConfig).should.deepEqual([]);
+    });
+    it('should report each missing required field for {}', function(){
+        validateConfig({}).should.deepEqual([
+            'config.buyerValues: required',
+            'config.sellerCosts: required',
+            'config.buyerAgentType: required',
+            'config.sellerAgentType: required'
+        ]);
+    });
+    it('should report all problems at once, with the path of each offending field', function(){
+        let config = Object.assign({}, validConfig, {
+            buyerValues: [10,'nine',8],
+            buyerAgentType: ["ZIAgent","ZIAgnet"],
+            sellerAgentType: [],
+            periods: "ten",
+            xMarket: {buySellBookLimit: "none"}
+        });
+        let problems = validateConfig(config);
+        problems.length.should.equal(5);
+        problems[0].should.startWith('config.buyerValues[1]: expected number');
+        problems[1].should.startWith('config.periods: expected number');
+        problems[2].should.startWith('config.buyerAgentType[1]: expected one of');
+        problems[3].should.startWith('config.sellerAgentType: expected at least 1');
+        problems[4].should.startWith('config.xMarket.buySellBookLimit: expected number');
+    });
+    it('new Simulation() should throw an error listing the problems in .problems', function(){
+        let config = Object.assign({}, validConfig, {buyerAgentType: ["ZIAgnet"]});
+        try {
+            let S = new Simulation(config); // eslint-disable-line no-unused-vars
+            assert.ok(false, 'expected new Simulation to throw');
+        } catch(e){
+            e.message.should.containEql('config.buyerAgentType[0]');
+            e.problems.length.should.equal(1);
+        }
+    });
+    it('should accept the built-in market-agents Trader types, but not the base classes Agent and Trader, or Pool', function(){
+        ['TruthfulAgent','HoarderAgent','OneupmanshipAgent','MidpointAgent'].forEach(function(type){
+            validateConfig(Object.assign({}, validConfig, {sellerAgentType:[type]})).should.deepEqual([]);
+        });
+        ['Agent','Trader','Pool'].forEach(function(type){
+            validateConfig(Object.assign({}, validConfig, {sellerAgentType:[type]})).length.should.equal(1);
+        });
+    });
+    it('should reject non-integer integers, including Infinity, and booleans given as numbers', function(){
+        validateConfig(Object.assign({}, validConfig, {seed:Infinity, silent:1, integer:0})).should.deepEqual([
+            'config.seed: expected integer, got null',
+            'config.integer: expected boolean, got 0',
+            'config.silent: expected boolean, got 1'
+        ]);
+        validateConfig(Object.assign({}, validConfig, {seed:2.5})).should.deepEqual(['config.seed: expected integer, got 2.5']);
+    });
+    it('should accept agent types registered with agentRegister() and extend the schema enums', function(){
+        class CustomValidatedAgent extends MarketAgents.TruthfulAgent {}
+        let config = Object.assign({}, validConfig, {buyerAgentType:['CustomValidatedAgent']});
+        validateConfig(config).length.should.equal(1);
+        agentRegister({CustomValidatedAgent});
+        validateConfig(config).should.deepEqual([]);
+        configSchema.items.properties.buyerAgentType.items.enum.should.containEql('CustomValidatedAgent');
+        configSchema.items.properties.sellerAgentType.items.enum.should.containEql('CustomValidatedAgent');
+    });
+    it('should accept direct Agent subclasses and factory functions registered with agentRegister()', function(){
+        class CustomPlainAgent extends MarketAgents.Agent {}
+        function customFactoryAgent(options){ return new MarketAgents.TruthfulAgent(options); }
+        agentRegister({CustomPlainAgent, customFactoryAgent});
+        validateConfig(Object.assign({}, validConfig, {buyerAgentType:['CustomPlainAgent'], sellerAgentType:['customFactoryAgent']})).should.deepEqual([]);
+    });
+    it('validateConfig(undefined), validateConfig(null) should report config: expected object', function(){
+        [undefined, null, 5].forEach(function(config){
+            const problems = validateConfig(config);
+            problems.length.should.equal(1);
+            problems[0].should.startWith('config: expected object');
+        });
+    });
+    it('new Simulation() with no config should throw an error with .problems, not a TypeError', function(){
+        try {
+            let S = new Simulation(); // eslint-disable-line no-unused-vars
+            assert.ok(false, 'expected new Simulation to throw');
+        } catch(e){
+            e.should.not.be.instanceOf(TypeError);
+            e.problems[0].should.startWith('config: expected object');
+        }
+    });
+});
+
 describe('simulation with values [10,9,8] all below costs [20,40]', function(){
 
     // buyerRate and sellerRate will default to [1.0] if absent and are coerced to positive number arrays by positiveNumberArray()
@@ -93,7 +271,7 @@ describe('simulation with values [10,9,8] all below costs [20,40]', function(){
         sellerAgentType: ["ZIAgent"],
         buyerRate: [1.0,1.0],
         sellerRate: 1.0,
-        silent: 1
+        silent: true
     };
     describe('on new Simulation', function(){
         let S = new Simulation(configCostsExceedValues);
@@ -123,19 +301,29 @@ describe('simulation with values [10,9,8] all below costs [20,40]', function(){
         it('should set .numberOfAgents to 5', function(){
             S.numberOfAgents.should.equal(5);
         });
-        let logsProps = ['trade','buyorder','sellorder','rejectbuyorder','rejectsellorder','profit','ohlc','effalloc'];
+        let logsProps = ['trade','buyorder','sellorder','rejectbuyorder','rejectsellorder','profit','ohlc','effalloc','roster'];
         it('.logs should have properties '+logsProps.join(','), function(){
             S.logs.should.have.properties(logsProps);
         });
-        it('trade, buyorder, sellorder, ohlc logs have header rows; profit log is empty', function(){
-            let withHeaderRow = ['trade','buyorder','sellorder','ohlc','effalloc'];
+        it('trade, buyorder, sellorder, ohlc, effalloc, profit logs have header rows', function(){
+            let withHeaderRow = ['trade','buyorder','sellorder','ohlc','effalloc','profit'];
             withHeaderRow.forEach(function(prop){ S.logs[prop].data.length.should.equal(1); });
             S.logs.trade.data[0].should.deepEqual(tradeLogHeader);
             S.logs.buyorder.data[0].should.deepEqual(combinedOrderLogHeader);
             S.logs.sellorder.data[0].should.deepEqual(combinedOrderLogHeader);
-            S.logs.rejectbuyorder.data[0].should.deepEqual(combinedOrderLogHeader);
-            S.logs.rejectsellorder.data[0].should.deepEqual(combinedOrderLogHeader);
-            S.logs.profit.data.length.should.equal(0);
+            S.logs.rejectbuyorder.data[0].should.deepEqual(rejectOrderLogHeader);
+            S.logs.rejectsellorder.data[0].should.deepEqual(rejectOrderLogHeader);
+            S.logs.profit.data[0].should.deepEqual(profitLogHeader);
+        });
+        it('roster log has header row and one row per agent with its type, rate and values or costs', function(){
+            S.logs.roster.data.should.deepEqual([
+                rosterLogHeader,
+                [0,1,'buyer','ZIAgent',1,'10',''],
+                [0,2,'buyer','ZIAgent',1,'9',''],
+                [0,3,'buyer','ZIAgent',1,'8',''],
+                [0,4,'seller','ZIAgent',1,'','20'],
+                [0,5,'seller','ZIAgent',1,'','40']
+            ]);
         });
 
         it('.pool should be an instance of Pool containing 5 (ZI) agents with .bidPrice and .askPrice functions',function(){
@@ -208,9 +396,15 @@ describe('simulation with values [10,9,8] all below costs [20,40]', function(){
             state.S.logs.trade.data.length.should.be.equal(1);
             state.S.logs.trade.data[0].should.deepEqual(tradeLogHeader);                
         }); 
-        it('the profit log should have one entry equal to [0,0,0,0,0]', function(){
-            state.S.logs.profit.data.length.should.be.equal(1);
-            state.S.logs.profit.data.should.deepEqual([[0,0,0,0,0]]);
+        it('the profit log should have the header row and one row of zero profit and zero units for each agent', function(){
+            state.S.logs.profit.data.should.deepEqual([
+                profitLogHeader,
+                [1,1,'buyer','ZIAgent',0,0,0,0],
+                [1,2,'buyer','ZIAgent',0,0,0,0],
+                [1,3,'buyer','ZIAgent',0,0,0,0],
+                [1,4,'seller','ZIAgent',0,0,0,0],
+                [1,5,'seller','ZIAgent',0,0,0,0]
+            ]);
         }); 
         it('the ohlc log should have header row', function(){
             state.S.logs.ohlc.data.length.should.equal(1);
@@ -218,9 +412,9 @@ describe('simulation with values [10,9,8] all below costs [20,40]', function(){
         it('the effalloc log should have only the header row and no entries, because 0/0 is not reported', function(){
             state.S.logs.effalloc.data.length.should.equal(1);
         });
-        it('.logTrade({totalQ:2}) should throw because of single unit trade requirement', function(){
-            function logTwoUnitTrade(){ state.S.logTrade({totalQ:2}); }
-            logTwoUnitTrade.should.throw();
+        it('.logTrade({totalQ:2}) should throw because the tradespec is invalid', function(){
+            function logInvalidTrade(){ state.S.logTrade({totalQ:2}); }
+            logInvalidTrade.should.throw();
         });
     }
 
@@ -283,7 +477,7 @@ describe('simulation with single unit trade, value [1000], costs [1]', function(
         sellerCosts: [1],
         buyerAgentType: ["ZIAgent"],
         sellerAgentType: ["ZIAgent"],
-        silent: 1
+        silent: true
     };
 
     describe('on new Simulation', function(){
@@ -406,21 +600,23 @@ describe('simulation with single unit trade, value [1000], costs [1]', function(
             let priceCol = tradeLogHeader.indexOf("price");
             state.S.logs.trade.data[1][sellerProfitCol].should.equal(state.S.logs.trade.data[1][priceCol]-1);
         });
-        it('the profit log should have one entry equal to [1000-p,p-1]', function(){
+        it('the profit log should have the header row and rows [1,1,buyer,ZIAgent,1000-p,1], [1,2,seller,ZIAgent,p-1,1]', function(){
             let p = state.S.logs.trade.data[1][tradeLogHeader.indexOf("price")];
-            let correctProfits = [1000-p,p-1];
-            state.S.logs.profit.data.length.should.be.equal(1);
-            state.S.logs.profit.data.should.deepEqual([correctProfits]);
+            state.S.logs.profit.data.should.deepEqual([
+                profitLogHeader,
+                [1,1,'buyer','ZIAgent',1000-p,1,1000-p,0],
+                [1,2,'seller','ZIAgent',p-1,1,p-1,0]
+            ]);
         }); 
         it('the ohlc log should have header plus one entry, with all price stats equal to single trade price', function(){
             let p = state.S.logs.trade.data[1][tradeLogHeader.indexOf("price")];
-            let correctOHLC = [state.S.period,p,p,p,p,1,p,p,0];
+            let correctOHLC = [state.S.period,p,p,p,p,1,p,p,0,''];
             state.S.logs.ohlc.data.length.should.equal(2);
             state.S.logs.ohlc.data[1].should.deepEqual(correctOHLC);
         });
-        it('the effalloc log should have header plus one entry, [1,100]', function(){
+        it('the effalloc log should have header plus one entry, [1,100,100,0]', function(){
             state.S.logs.effalloc.data.length.should.equal(2);
-            state.S.logs.effalloc.data[1].should.deepEqual([1,100]);
+            state.S.logs.effalloc.data[1].should.deepEqual([1,100,100,0]);
         });
     }
 
@@ -505,12 +701,17 @@ describe('simulation with single unit trade, value [1000], costs [1]', function(
             state.S.logs.trade.data[0].should.deepEqual(tradeLogHeader);
             state.S.logs.trade.data.forEach(function(row,i){ if(i>0) row[0].should.equal(i); });
         }); 
-        it('the period profit log should have 10 entries, each with two positive numbers that sum to 999', function(){
-            state.S.logs.profit.data.forEach(function(row){
-                row[0].should.be.above(0);
-                row[1].should.be.above(0);
-                assert.equal(row[0]+row[1],999);
-            });
+        it('the period profit log should have 10 pairs of rows, each pair with two positive profits that sum to 999', function(){
+            let profitCol = profitLogHeader.indexOf('profit');
+            let rows = state.S.logs.profit.data.slice(1);
+            rows.length.should.equal(20);
+            for(let p=1;p<=10;++p){
+                let periodRows = rows.filter((row)=>(row[0]===p));
+                periodRows.length.should.equal(2);
+                periodRows[0][profitCol].should.be.above(0);
+                periodRows[1][profitCol].should.be.above(0);
+                assert.equal(periodRows[0][profitCol]+periodRows[1][profitCol],999);
+            }
         });
         it('the ohlc log should have 11 entries, header + 1 trade per period, matching trade log', function(){
             let priceCol = tradeLogHeader.indexOf('price'),periodCol = tradeLogHeader.indexOf('period');
@@ -521,14 +722,23 @@ describe('simulation with single unit trade, value [1000], costs [1]', function(
                     let price  = row[priceCol];
                     // o,h,l,c equal because it is a single unit trade scenario
                     // o,h,l,c,volume,median,mean,sdev
-                    return [period,price,price,price,price,1,price,price,0];
+                    return [period,price,price,price,price,1,price,price,0,''];
                 });
             state.S.logs.ohlc.data.length.should.equal(11);
             state.S.logs.ohlc.data.slice(1).should.deepEqual(altOHLC);          
         });
         it('the effalloc log should have 11 entries, header + 1 per period, showing eff=100 percent', function(){
             state.S.logs.effalloc.data.length.should.equal(11);
-            state.S.logs.effalloc.data.slice(1).should.deepEqual([[1,100],[2,100],[3,100],[4,100],[5,100],[6,100],[7,100],[8,100],[9,100],[10,100]]);
+            state.S.logs.effalloc.data.slice(1).should.deepEqual([[1,100,100,0],[2,100,100,0],[3,100,100,0],[4,100,100,0],[5,100,100,0],[6,100,100,0],[7,100,100,0],[8,100,100,0],[9,100,100,0],[10,100,100,0]]);
+        });
+        it('.periodStats should have 10 entries matching the ohlc and effalloc logs', function(){
+            state.S.periodStats.length.should.equal(10);
+            state.S.periodStats.forEach(function(stat,i){
+                let row = state.S.logs.ohlc.data[i+1];
+                stat.should.have.properties({period:i+1, efficiencyOfAllocation:100, volume:1, close:row[4], mean:row[7]});
+                Object.keys(stat).should.deepEqual(['period','efficiencyOfAllocation','volume','close','mean','typeProfit']);
+                stat.typeProfit.map((group)=>([group.role, group.unitsTraded, group.surplusShare>0])).should.deepEqual([['buyer',1,true],['seller',1,true]]);
+            });
         });
     }
 
@@ -676,3 +886,2121 @@ describe('simulation with single unit trade, value [1000], costs [1]', function(
     });
    
 });
+
+describe('seeded simulations', function(){
+
+    let configSeeded = {
+        L:1,
+        H:200,
+        buyerValues: [100,95,90,85,80,75,70,60,50,40,30,20,10],
+        sellerCosts: [10,20,30,40,50,60,70,80,90,100],
+        buyerAgentType: ["ZIAgent","UnitAgent"],
+        sellerAgentType: ["UnitAgent","ZIAgent"],
+        buyerRate: 0.2,
+        sellerRate: 0.2,
+        periods: 3,
+        seed: 12345,
+        silent: true
+    };
+    let seededLogs = ['trade','buyorder','sellorder','ohlc','profit','effalloc'];
+
+    function runSeeded(config){
+        return new Simulation(Object.assign({}, config)).run({sync:true});
+    }
+
+    it('seededRandom(seed) should return the same sequence on [0,1) for the same seed', function(){
+        let a = singleMarketRobotSimulator.seededRandom(7);
+        let b = singleMarketRobotSimulator.seededRandom(7);
+        let i;
+        for(i=0;i<100;++i){
+            let x = a();
+            x.should.be.within(0,1);
+            x.should.equal(b());
+        }
+    });
+    it('should set .random on the simulation and each agent', function(){
+        let S = new Simulation(Object.assign({}, configSeeded));
+        S.random.should.be.type('function');
+        S.pool.agents.forEach(function(A){ assert.strictEqual(A.random, S.random); });
+    });
+    it('should not set .random when config.seed is omitted', function(){
+        let config = Object.assign({}, configSeeded);
+        delete config.seed;
+        let S = new Simulation(config);
+        assert.strictEqual(S.random, undefined);
+    });
+    it('two runs with the same seed should produce identical '+seededLogs.join(',')+' logs', function(){
+        let S1 = runSeeded(configSeeded);
+        let S2 = runSeeded(configSeeded);
+        S1.logs.trade.data.length.should.be.above(1);
+        seededLogs.forEach(function(log){
+            S1.logs[log].toString().should.equal(S2.logs[log].toString());
+        });
+    });
+    it('runs with different seeds should produce different trade logs', function(){
+        let S1 = runSeeded(configSeeded);
+        let S2 = runSeeded(Object.assign({}, configSeeded, {seed: 54321}));
+        S1.logs.trade.toString().should.not.equal(S2.logs.trade.toString());
+    });
+    it('an asynchronous run should produce the same logs as a synchronous run with the same seed', function(){
+        let S1 = runSeeded(configSeeded);
+        return new Simulation(Object.assign({}, configSeeded)).run().then(function(S2){
+            seededLogs.forEach(function(log){
+                S1.logs[log].toString().should.equal(S2.logs[log].toString());
+            });
+        });
+    });
+    it('should not replace the pricing or wake methods of a subclass of ZIAgent or UnitAgent', function(){
+        class FixedAgent extends MarketAgents.ZIAgent {
+            bidPrice(){ return 42; }
+        }
+        function steadyWake(){ return this.wakeTime+1; }
+        class SteadyUnitAgent extends MarketAgents.UnitAgent {
+            constructor(options){ super(Object.assign({nextWake: steadyWake}, options)); }
+            randomDelta(){ return 0; }
+        }
+        singleMarketRobotSimulator.agentRegister({FixedAgent, SteadyUnitAgent});
+        let config = Object.assign({}, configSeeded, {buyerAgentType:["FixedAgent"], sellerAgentType:["SteadyUnitAgent"]});
+        let S = runSeeded(config);
+        let buyer = S.buyersPool.agents[0];
+        let seller = S.sellersPool.agents[0];
+        buyer.bidPrice.should.equal(FixedAgent.prototype.bidPrice);
+        buyer.askPrice.should.not.equal(MarketAgents.ZIAgent.prototype.askPrice);
+        seller.randomDelta.should.equal(SteadyUnitAgent.prototype.randomDelta);
+        seller.bidPrice.should.not.equal(MarketAgents.UnitAgent.prototype.bidPrice);
+        S.logs.buyorder.data.slice(1).forEach(function(row){
+            row[6].should.equal(42);
+        });
+        seller.nextWake.should.equal(steadyWake);
+        buyer.nextWake.name.should.not.equal('poissonWake');
+    });
+    it('integer prices should remain integers', function(){
+        let S = runSeeded(Object.assign({}, configSeeded, {integer:true}));
+        let priceCol = tradeLogHeader.indexOf('price');
+        S.logs.trade.data.slice(1).forEach(function(row){
+            (row[priceCol]%1).should.equal(0);
+        });
+    });
+});
+
+describe('multi-unit orders and trades', function(){
+
+    let configMultiUnit = {
+        L:1,
+        H:200,
+        buyerValues: [100,90,80],
+        sellerCosts: [10,20,30],
+        numberOfBuyers: 1,
+        numberOfSellers: 3,
+        buyerAgentType: ["ZIAgent"],
+        sellerAgentType: ["ZIAgent"],
+        silent: true
+    };
+
+    function setup(){
+        let S = new Simulation(Object.assign({}, configMultiUnit));
+        S.period = 1;
+        S.pool.initPeriod(1);
+        S.xMarket.clear();
+        return S;
+    }
+
+    function col(name){ return tradeLogHeader.indexOf(name); }
+
+    it('a 3 unit bid should fill against 3 single unit asks, logging each fill with its quantity, value and cost', function(){
+        let S = setup();
+        let buyer = S.buyersPool.agents[0];
+        let sellers = S.sellersPool.agents;
+        sellers[0].ask(S.xMarket, 40);
+        sellers[1].ask(S.xMarket, 50);
+        sellers[2].ask(S.xMarket, 60);
+        buyer.bid(S.xMarket, 70, 3);
+        let fills = S.logs.trade.data.slice(1);
+        fills.length.should.equal(3);
+        fills.map((row)=>(row[col('price')])).should.deepEqual([40,50,60]);
+        fills.map((row)=>(row[col('q')])).should.deepEqual([1,1,1]);
+        fills.map((row)=>(row[col('buyerAgentId')])).should.deepEqual([buyer.id,buyer.id,buyer.id]);
+        fills.map((row)=>(row[col('sellerAgentId')])).should.deepEqual(sellers.map((A)=>(A.id)));
+        fills.map((row)=>(row[col('buyerValue')])).should.deepEqual([100,90,80]);
+        fills.map((row)=>(row[col('buyerProfit')])).should.deepEqual([60,40,20]);
+        fills.map((row)=>(row[col('sellerCost')])).should.deepEqual([10,20,30]);
+        fills.map((row)=>(row[col('sellerProfit')])).should.deepEqual([30,30,30]);
+        buyer.inventory.X.should.equal(3);
+        S.periodTradePrices.should.deepEqual([40,50,60]);
+    });
+
+    it('the profit log should count the units traded by each agent in the period', function(){
+        let S = setup();
+        let buyer = S.buyersPool.agents[0];
+        let sellers = S.sellersPool.agents;
+        sellers[0].ask(S.xMarket, 40);
+        sellers[1].ask(S.xMarket, 50);
+        buyer.bid(S.xMarket, 70, 3);
+        S.pool.endPeriod();
+        S.logPeriod();
+        let unitsCol = profitLogHeader.indexOf('unitsTraded');
+        S.logs.profit.data.slice(1).map((row)=>([row[1], row[unitsCol]])).should.deepEqual([
+            [buyer.id,2],
+            [sellers[0].id,1],
+            [sellers[1].id,1],
+            [sellers[2].id,0]
+        ]);
+    });
+
+    it('a 2 unit ask should partially fill a 3 unit bid, leaving 1 unit on the buy book', function(){
+        let S = new Simulation(Object.assign({}, configMultiUnit, {buyerValues:[100,90,80], sellerCosts:[10,20], numberOfSellers:1}));
+        S.period = 1;
+        S.pool.initPeriod(1);
+        S.xMarket.clear();
+        let buyer = S.buyersPool.agents[0];
+        let seller = S.sellersPool.agents[0];
+        buyer.bid(S.xMarket, 70, 3);
+        seller.ask(S.xMarket, 50, 2);
+        let fills = S.logs.trade.data.slice(1);
+        fills.length.should.equal(1);
+        fills[0][col('price')].should.equal(70);
+        fills[0][col('q')].should.equal(2);
+        fills[0][col('buyerValue')].should.equal(190);
+        fills[0][col('buyerProfit')].should.equal(190-140);
+        fills[0][col('sellerCost')].should.equal(30);
+        fills[0][col('sellerProfit')].should.equal(140-30);
+        S.periodTradePrices.should.deepEqual([70,70]);
+        S.xMarket.currentBidPrice().should.equal(70);
+        S.logs.buyorder.data[1][combinedOrderLogHeader.indexOf('q')].should.equal(3);
+        S.logs.sellorder.data[1][combinedOrderLogHeader.indexOf('q')].should.equal(2);
+    });
+});
+
+describe('runBatch', function(){
+
+    let configA = {
+        L:1,
+        H:1000,
+        buyerValues: [1000],
+        sellerCosts: [1],
+        buyerAgentType: ["ZIAgent"],
+        sellerAgentType: ["ZIAgent"],
+        periods: 2,
+        seed: 100,
+        silent: true
+    };
+    let configB = Object.assign({}, configA, {buyerAgentType: ["UnitAgent"], sellerAgentType: ["UnitAgent"]});
+    delete configB.seed;
+    const logDir = tmpDir('batch-');
+    after(function(){ removeDir(logDir); });
+
+    function testsForBatch(state){
+        it('should return the index log and 4 runs, in order of config then replication', function(){
+            state.result.runs.length.should.equal(4);
+            state.result.runs.map((run)=>([run.config, run.replication])).should.deepEqual([[0,0],[0,1],[1,0],[1,1]]);
+        });
+        it('each run should have its own log directory and a completed simulation', function(){
+            state.result.runs.forEach(function(run){
+                run.logDir.should.equal(logDir+'/config'+run.config+'-replication'+run.replication);
+                run.sim.should.be.instanceOf(Simulation);
+                run.sim.config.logDir.should.equal(run.logDir);
+                run.sim.period.should.equal(2);
+            });
+        });
+        it('replications of a seeded config should use seed, seed+1', function(){
+            state.result.runs[0].sim.config.seed.should.equal(100);
+            state.result.runs[1].sim.config.seed.should.equal(101);
+            state.result.runs[0].sim.logs.trade.toString().should.not.equal(state.result.runs[1].sim.logs.trade.toString());
+        });
+        it('replications of an unseeded config should not set a seed', function(){
+            assert.strictEqual(state.result.runs[2].sim.config.seed, undefined);
+            state.result.runs[2].seed.should.equal('');
+        });
+        it('should not modify the configs', function(){
+            assert.strictEqual(configA.logDir, undefined);
+            configA.seed.should.equal(100);
+        });
+        it('the summary log should have a header row plus 4 measures x 2 periods x 2 configs, each with n=2', function(){
+            let data = state.result.summary.data;
+            data[0].should.deepEqual(singleMarketRobotSimulator.batchSummaryHeader);
+            data.length.should.equal(17);
+            data.slice(1).map((row)=>(row.slice(0,4))).should.deepEqual([
+                [0,1,'efficiencyOfAllocation',2],[0,1,'volume',2],[0,1,'close',2],[0,1,'mean',2],
+                [0,2,'efficiencyOfAllocation',2],[0,2,'volume',2],[0,2,'close',2],[0,2,'mean',2],
+                [1,1,'efficiencyOfAllocation',2],[1,1,'volume',2],[1,1,'close',2],[1,1,'mean',2],
+                [1,2,'efficiencyOfAllocation',2],[1,2,'volume',2],[1,2,'close',2],[1,2,'mean',2]
+            ]);
+        });
+        it('the index log should have a header row plus one row per run', function(){
+            state.result.index.data.should.deepEqual([
+                singleMarketRobotSimulator.batchIndexHeader,
+                [0,0,logDir+'/config0-replication0',100],
+                [0,1,logDir+'/config0-replication1',101],
+                [1,0,logDir+'/config1-replication0',''],
+                [1,1,logDir+'/config1-replication1','']
+            ]);
+        });
+    }
+
+    describe('synchronous', function(){
+        let state = {};
+        state.result = singleMarketRobotSimulator.runBatch([configA, configB], {replications:2, logDir, sync:true});
+        testsForBatch(state);
+    });
+
+    describe('asynchronous', function(){
+        let state = {};
+        before(function(){
+            return singleMarketRobotSimulator.runBatch([configA, configB], {replications:2, logDir}).then(function(result){
+                state.result = result;
+            });
+        });
+        testsForBatch(state);
+    });
+
+    it('should close the log files of each run when it finishes', function(){
+        const fsDir = tmpDir('batch-fs-');
+        global.fs = fs;
+        try {
+            let config = Object.assign({}, configA, {logToFileSystem:true});
+            let result = singleMarketRobotSimulator.runBatch([config], {replications:2, logDir:fsDir, logToFileSystem:true, sync:true});
+            result.runs.forEach(function(run){
+                run.sim.logs.trade.useFS.should.equal(true);
+                Object.keys(run.sim.logs).forEach((name)=>(assert.strictEqual(run.sim.logs[name].fd, undefined)));
+                fs.readFileSync(run.logDir+'/trade.csv', 'utf8').length.should.be.above(0);
+            });
+        } finally {
+            delete global.fs;
+            removeDir(fsDir);
+        }
+    });
+
+    it('should throw if configs is not an array', function(){
+        function batchWithoutArray(){ singleMarketRobotSimulator.runBatch(configA, {sync:true}); }
+        batchWithoutArray.should.throw();
+    });
+});
+
+describe('replicationSummary', function(){
+    let sims = [
+        {periodStats: [{period:1, efficiencyOfAllocation:100, volume:4, close:50, mean:52}, {period:2, efficiencyOfAllocation:90, volume:0}]},
+        {periodStats: [{period:1, efficiencyOfAllocation:80, volume:2, close:60, mean:58}, {period:2, efficiencyOfAllocation:70, volume:0}]},
+        {periodStats: [{period:1, efficiencyOfAllocation:90, volume:3, close:55, mean:55}]}
+    ];
+    let rows = singleMarketRobotSimulator.replicationSummary(sims);
+    function row(period, measure){
+        return rows.find((r)=>((r[0]===period) && (r[1]===measure)));
+    }
+    it('summaryHeader should be period, measure, n, mean, sd, ciLower, ciUpper', function(){
+        singleMarketRobotSimulator.summaryHeader.should.deepEqual(['period','measure','n','mean','sd','ciLower','ciUpper']);
+    });
+    it('should report mean, sample sd and 95% t confidence interval of efficiency in period 1', function(){
+        let r = row(1,'efficiencyOfAllocation');
+        r.slice(0,5).should.deepEqual([1,'efficiencyOfAllocation',3,90,10]);
+        r[5].should.be.approximately(90-4.303*10/Math.sqrt(3), 1e-9);
+        r[6].should.be.approximately(90+4.303*10/Math.sqrt(3), 1e-9);
+    });
+    it('should summarize volume, close and mean price in period 1', function(){
+        row(1,'volume').slice(0,5).should.deepEqual([1,'volume',3,3,1]);
+        row(1,'close').slice(0,5).should.deepEqual([1,'close',3,55,5]);
+        row(1,'mean').slice(0,4).should.deepEqual([1,'mean',3,55]);
+    });
+    it('should count only replications that reached a period', function(){
+        row(2,'efficiencyOfAllocation').slice(0,4).should.deepEqual([2,'efficiencyOfAllocation',2,80]);
+        row(2,'volume').slice(0,5).should.deepEqual([2,'volume',2,0,0]);
+    });
+    it('should omit close and mean prices for periods without trades', function(){
+        assert.strictEqual(row(2,'close'), undefined);
+        assert.strictEqual(row(2,'mean'), undefined);
+    });
+    it('should leave sd and confidence interval blank for a single replication', function(){
+        singleMarketRobotSimulator.replicationSummary([sims[0]])[0].should.deepEqual([1,'efficiencyOfAllocation',1,100,'','','']);
+    });
+});
+
+describe('parseCommandLine', function(){
+    const {parseCommandLine} = singleMarketRobotSimulator;
+    it('should return {} for no arguments', function(){
+        parseCommandLine([]).should.deepEqual({});
+    });
+    it('should parse all options', function(){
+        parseCommandLine([
+            '--config','my.json','--out','/tmp/out','--periods','5','--seed','42',
+            '--logs','trade,ohlc','--replications','3','--workers','2','--checkpoint-every','10','--resume','/tmp/out/checkpoint.json',
+            '--quiet','--async','--help'
+        ]).should.deepEqual({
+            config: 'my.json',
+            out: '/tmp/out',
+            periods: 5,
+            seed: 42,
+            logs: ['trade','ohlc'],
+            replications: 3,
+            workers: 2,
+            checkpointEvery: 10,
+            resume: '/tmp/out/checkpoint.json',
+            quiet: true,
+            async: true,
+            help: true
+        });
+    });
+    it('should accept a lone .json argument as the config file', function(){
+        parseCommandLine(['--quiet','config2.json']).should.deepEqual({quiet:true, config:'config2.json'});
+    });
+    it('should throw on unknown options, missing values and non-numeric numbers', function(){
+        (function(){ parseCommandLine(['--bogus']); }).should.throw(/unknown option/);
+        (function(){ parseCommandLine(['--out']); }).should.throw(/missing value/);
+        (function(){ parseCommandLine(['--periods','ten']); }).should.throw(/expected a number/);
+        (function(){ parseCommandLine(['--checkpoint-every','']); }).should.throw(/expected a number for --checkpoint-every/);
+        (function(){ parseCommandLine(['--workers','many']); }).should.throw(/expected a number for --workers/);
+    });
+});
+
+describe('command line', function(){
+    const dir = tmpDir('cli-');
+    after(function(){ removeDir(dir); });
+    function cli(args){
+        return childProcess.spawnSync(process.execPath, ['--require', require.resolve('babel-core/register'), path.join(__dirname, '../src/index.js')].concat(args), {cwd: dir, encoding: 'utf8'});
+    }
+    it('without --out, should write the logs and the period file to the config\'s logDir, and nothing in the current directory', function(){
+        this.timeout(60000);
+        let logDir = path.join(dir, 'logs');
+        let config = {L:1, H:200, buyerValues:[150,120,100], sellerCosts:[20,40,60], buyerAgentType:["ZIAgent"], sellerAgentType:["ZIAgent"], periods:2, logDir};
+        fs.writeFileSync(path.join(dir, 'logdir.json'), JSON.stringify(config));
+        let result = cli(['--config', 'logdir.json', '--quiet']);
+        result.status.should.equal(0, result.stderr);
+        fs.readdirSync(dir).sort().should.deepEqual(['logdir.json', 'logs']);
+        fs.readdirSync(logDir).should.containEql('trade.csv');
+        fs.readFileSync(path.join(logDir, 'period'), 'utf8').should.equal('2');
+    });
+    it('--out should override the config\'s logDir', function(){
+        this.timeout(60000);
+        let result = cli(['--config', 'logdir.json', '--out', 'out', '--quiet']);
+        result.status.should.equal(0, result.stderr);
+        fs.readdirSync(path.join(dir, 'out')).should.containEql('trade.csv');
+        fs.readFileSync(path.join(dir, 'out', 'period'), 'utf8').should.equal('2');
+    });
+});
+
+describe('config.logs', function(){
+    let config = {
+        L:1,
+        H:1000,
+        buyerValues: [1000],
+        sellerCosts: [1],
+        buyerAgentType: ["ZIAgent"],
+        sellerAgentType: ["ZIAgent"],
+        silent: true
+    };
+    it('should keep only the requested logs', function(){
+        let S = new Simulation(Object.assign({}, config, {logs:['trade','ohlc']}));
+        Object.keys(S.logs).sort().should.deepEqual(['ohlc','trade']);
+        S.runPeriod(true);
+        S.logs.trade.data.length.should.equal(2);
+    });
+    it('should keep all logs when empty, except book and those of features not configured', function(){
+        let S = new Simulation(Object.assign({}, config, {logs:[]}));
+        Object.keys(S.logs).should.deepEqual(['trade','buyorder','sellorder','rejectbuyorder','rejectsellorder','profit','ohlc','effalloc','equilibrium','roster','typeprofit']);
+    });
+    it('should keep the logs of configured features, and any log requested', function(){
+        Object.keys(new Simulation(Object.assign({}, config, {bookSnapshotEvery:5, priceCeiling:500}))
+                    .logs).should.containDeep(['booksnapshot','pricecontrol']);
+        Object.keys(new Simulation(Object.assign({}, config, {priceFloor:5, sellerEndowment:{X:1}}))
+                    .logs).should.containDeep(['pricecontrol','holdings']);
+        Object.keys(new Simulation(Object.assign({}, config, {carryInventory:true, dividends:[0,1], periods:2}))
+                    .logs).should.containDeep(['holdings','bubble']);
+        Object.keys(new Simulation(Object.assign({}, config, {logs:['book','bubble']}))
+                    .logs).should.deepEqual(['book','bubble']);
+    });
+    it('should be rejected by validateConfig for unknown log names', function(){
+        singleMarketRobotSimulator.validateConfig(Object.assign({}, config, {logs:['trade','trades']})).length.should.equal(1);
+    });
+    it('should not change the market, even without the ohlc log that KaplanSniperAgent prices follow', function(){
+        let configKaplan = {
+            L:1,
+            H:200,
+            buyerValues: [150,140,130,120,110,100],
+            sellerCosts: [20,30,40,50,60,70],
+            buyerAgentType: ["KaplanSniperAgent","ZIAgent"],
+            sellerAgentType: ["ZIAgent","KaplanSniperAgent"],
+            periods: 5,
+            seed: 11,
+            silent: true
+        };
+        let all = new Simulation(Object.assign({}, configKaplan)).run({sync:true});
+        let tradesOnly = new Simulation(Object.assign({}, configKaplan, {logs:['trade']})).run({sync:true});
+        Object.keys(tradesOnly.logs).should.deepEqual(['trade']);
+        tradesOnly.logs.trade.data.should.deepEqual(all.logs.trade.data);
+        tradesOnly.lastOHLC.should.deepEqual(all.lastOHLC);
+    });
+});
+
+describe('market shocks with config.schedules', function(){
+    let configShock = {
+        L:1,
+        H:1000,
+        buyerValues: [1000],
+        sellerCosts: [1],
+        buyerAgentType: ["ZIAgent"],
+        sellerAgentType: ["ZIAgent"],
+        schedules: [
+            {fromPeriod: 4, sellerCosts: [100]},
+            {fromPeriod: 3, buyerValues: [500]}
+        ],
+        periods: 5,
+        silent: true
+    };
+    it('scheduleForPeriod() should apply entries in order of fromPeriod', function(){
+        let S = new Simulation(Object.assign({}, configShock));
+        S.scheduleForPeriod(1).should.deepEqual({buyerValues:[1000], sellerCosts:[1]});
+        S.scheduleForPeriod(3).should.deepEqual({buyerValues:[500], sellerCosts:[1]});
+        S.scheduleForPeriod(5).should.deepEqual({buyerValues:[500], sellerCosts:[100]});
+    });
+    describe('run 5 periods', function(){
+        let S = new Simulation(Object.assign({}, configShock));
+        let maxGains = [];
+        S.run({
+            sync: true,
+            update(sim){
+                maxGains.push(sim.getMaximumPossibleGainsFromTrade());
+                return sim;
+            }
+        });
+        it('getMaximumPossibleGainsFromTrade() should follow the schedule in effect', function(){
+            maxGains.should.deepEqual([999,999,499,400,400]);
+        });
+        it('agents should receive the values and costs in effect', function(){
+            S.buyersPool.agents[0].values.X.should.deepEqual([500]);
+            S.sellersPool.agents[0].costs.X.should.deepEqual([100]);
+        });
+        it('the trade log should report the values and costs in effect', function(){
+            let valueCol = tradeLogHeader.indexOf('buyerValue'), costCol = tradeLogHeader.indexOf('sellerCost');
+            S.logs.trade.data.slice(1).map((row)=>([row[0],row[valueCol],row[costCol]])).should.deepEqual([
+                [1,1000,1],[2,1000,1],[3,500,1],[4,500,100],[5,500,100]
+            ]);
+        });
+        it('the roster log should record the initial values and costs, and each change of schedule', function(){
+            S.logs.roster.data.slice(1).should.deepEqual([
+                [0,1,'buyer','ZIAgent',1,'1000',''],
+                [0,2,'seller','ZIAgent',1,'','1'],
+                [3,1,'buyer','ZIAgent',1,'500',''],
+                [4,2,'seller','ZIAgent',1,'','100']
+            ]);
+        });
+        it('the effalloc log should show 100 percent efficiency relative to the schedule in effect', function(){
+            S.logs.effalloc.data.slice(1).should.deepEqual([[1,100,100,0],[2,100,100,0],[3,100,100,0],[4,100,100,0],[5,100,100,0]]);
+        });
+        it('the equilibrium log should follow the schedule, with every trade in the equilibrium price range', function(){
+            let header = singleMarketRobotSimulator.logHeaders.equilibrium;
+            S.logs.equilibrium.data[0].should.deepEqual(header);
+            let cols = ['period','equilibriumPriceLow','equilibriumPriceHigh','equilibriumQuantity','volume','volumeDeviation','fractionInRange'].map((c)=>(header.indexOf(c)));
+            S.logs.equilibrium.data.slice(1).map((row)=>(cols.map((c)=>(row[c])))).should.deepEqual([
+                [1,1,1000,1,1,0,1],[2,1,1000,1,1,0,1],[3,1,500,1,1,0,1],[4,100,500,1,1,0,1],[5,100,500,1,1,0,1]
+            ]);
+        });
+    });
+    it('validateConfig should require fromPeriod', function(){
+        singleMarketRobotSimulator.validateConfig(Object.assign({}, configShock, {schedules:[{buyerValues:[1]}]})).should.deepEqual(['config.schedules[0].fromPeriod: required']);
+    });
+});
+
+describe('competitive equilibrium', function(){
+    let configCE = {
+        L:1,
+        H:200,
+        buyerValues: [70,100,80,90],
+        sellerCosts: [95,10,85,20],
+        buyerAgentType: ["ZIAgent"],
+        sellerAgentType: ["ZIAgent"],
+        periods: 1,
+        silent: true
+    };
+    it('getCompetitiveEquilibrium() should find quantity 2 and price range [80,85] for unsorted values and costs', function(){
+        let S = new Simulation(Object.assign({}, configCE));
+        S.getCompetitiveEquilibrium().should.deepEqual({priceLow:80, priceHigh:85, quantity:2});
+    });
+    it('getCompetitiveEquilibrium() should find quantity 0 and price range [100,200] when no unit is profitable', function(){
+        let S = new Simulation(Object.assign({}, configCE, {buyerValues:[100,50], sellerCosts:[200,300]}));
+        S.getCompetitiveEquilibrium().should.deepEqual({priceLow:100, priceHigh:200, quantity:0});
+    });
+    it('getCompetitiveEquilibrium() should bound the price range by the marginal traded units when every unit is profitable', function(){
+        let S = new Simulation(Object.assign({}, configCE, {buyerValues:[100,90], sellerCosts:[10,20]}));
+        S.getCompetitiveEquilibrium().should.deepEqual({priceLow:20, priceHigh:90, quantity:2});
+    });
+    it('equilibriumRow() should report volume deviation, Smith\'s alpha and the fraction of trades in range', function(){
+        let S = new Simulation(Object.assign({}, configCE));
+        S.period = 1;
+        let row = S.equilibriumRow([80,85,90]);
+        row.slice(0,6).should.deepEqual([1,80,85,2,3,1]);
+        let rms = Math.sqrt((2.5*2.5+2.5*2.5+7.5*7.5)/3);
+        row[6].should.be.approximately(100*rms/82.5, 1e-9);
+        row[7].should.be.approximately(2/3, 1e-9);
+    });
+    it('equilibriumRow() should leave alpha and fractionInRange blank when there are no trades', function(){
+        let S = new Simulation(Object.assign({}, configCE));
+        S.period = 1;
+        S.equilibriumRow([]).should.deepEqual([1,80,85,2,0,-2,'','']);
+    });
+});
+
+describe('profit by agent type', function(){
+    let configMixed = {
+        L:1,
+        H:200,
+        buyerValues: [100,90],
+        sellerCosts: [10,20],
+        numberOfBuyers: 2,
+        numberOfSellers: 1,
+        buyerAgentType: ["ZIAgent","UnitAgent"],
+        sellerAgentType: ["ZIAgent"],
+        periods: 3,
+        silent: true
+    };
+    it('profitByAgentType() should aggregate and normalize profit, units and surplus share by role and type', function(){
+        let S = new Simulation(Object.assign({}, configMixed));
+        S.period = 1;
+        S.pool.initPeriod(1);
+        S.xMarket.clear();
+        let [ziBuyer, unitBuyer] = S.buyersPool.agents;
+        let seller = S.sellersPool.agents[0];
+        seller.ask(S.xMarket, 40);
+        ziBuyer.bid(S.xMarket, 50);
+        seller.ask(S.xMarket, 50);
+        unitBuyer.bid(S.xMarket, 60);
+        S.pool.endPeriod();
+        S.profitByAgentType().should.deepEqual([
+            {role:'buyer', agentType:'ZIAgent', agents:1, profit:60, unitsTraded:1, profitPerAgent:60, unitsPerAgent:1, surplusShare:37.5},
+            {role:'buyer', agentType:'UnitAgent', agents:1, profit:40, unitsTraded:1, profitPerAgent:40, unitsPerAgent:1, surplusShare:25},
+            {role:'seller', agentType:'ZIAgent', agents:1, profit:60, unitsTraded:2, profitPerAgent:60, unitsPerAgent:2, surplusShare:37.5}
+        ]);
+    });
+    describe('run 3 periods with 4 buyers of 2 types', function(){
+        let S = new Simulation(Object.assign({}, configMixed, {buyerValues:[100,90,80,70], sellerCosts:[10,20,30,40], numberOfBuyers:4}));
+        S.run({sync:true});
+        it('the typeprofit log should have the header row and 2 buyer rows and 1 seller row per period', function(){
+            S.logs.typeprofit.data[0].should.deepEqual(singleMarketRobotSimulator.logHeaders.typeprofit);
+            S.logs.typeprofit.data.slice(1).map((row)=>(row.slice(0,4))).should.deepEqual([
+                [1,'buyer','ZIAgent',2],[1,'buyer','UnitAgent',2],[1,'seller','ZIAgent',1],
+                [2,'buyer','ZIAgent',2],[2,'buyer','UnitAgent',2],[2,'seller','ZIAgent',1],
+                [3,'buyer','ZIAgent',2],[3,'buyer','UnitAgent',2],[3,'seller','ZIAgent',1]
+            ]);
+        });
+        it('.periodStats typeProfit surplus shares should sum to the efficiencyOfAllocation', function(){
+            S.periodStats.forEach(function(stat){
+                let total = stat.typeProfit.reduce((sum,group)=>(sum+group.surplusShare), 0);
+                total.should.be.approximately(stat.efficiencyOfAllocation, 1e-9);
+            });
+        });
+        it('typeprofit log profits should match the profit log totals for each role and type', function(){
+            let header = singleMarketRobotSimulator.logHeaders.typeprofit;
+            S.logs.typeprofit.data.slice(1).forEach(function(row){
+                let profit = (S.logs.profit.data.slice(1)
+                              .filter((p)=>((p[0]===row[0]) && (p[2]===row[1]) && (p[3]===row[2])))
+                              .reduce((sum,p)=>(sum+p[4]), 0)
+                             );
+                row[header.indexOf('profit')].should.be.approximately(profit, 1e-9);
+                row[header.indexOf('profitPerAgent')].should.be.approximately(profit/row[header.indexOf('agents')], 1e-9);
+            });
+        });
+    });
+});
+
+describe('log sinks', function(){
+    const {JSONLinesLog, ColumnLog, SinkLog, logHeaders} = singleMarketRobotSimulator;
+    let configSinks = {
+        L:1,
+        H:1000,
+        buyerValues: [1000],
+        sellerCosts: [1],
+        buyerAgentType: ["ZIAgent"],
+        sellerAgentType: ["ZIAgent"],
+        periods: 3,
+        silent: true
+    };
+    describe('run 3 periods with trade as jsonl, ohlc as columns, effalloc to a custom sink, others as csv', function(){
+        let received = [];
+        let sink = {
+            setHeader(header, name){ received.push(['header', name, header]); },
+            write(row, name){ received.push(['row', name, row]); }
+        };
+        let S = new Simulation(Object.assign({}, configSinks, {logSinks: {trade:'jsonl', ohlc:'columns', effalloc:sink}}));
+        S.run({sync:true});
+        it('should create logs of the configured classes', function(){
+            S.logs.trade.should.be.instanceOf(JSONLinesLog);
+            S.logs.ohlc.should.be.instanceOf(ColumnLog);
+            S.logs.effalloc.should.be.instanceOf(SinkLog);
+            S.logs.profit.constructor.name.should.equal('Log');
+        });
+        it('the jsonl trade log should have one JSON object per trade, keyed by the trade log header, and no header row', function(){
+            let lines = S.logs.trade.toString().trim().split("\n").map((line)=>(JSON.parse(line)));
+            lines.length.should.equal(3);
+            lines.forEach(function(obj, i){
+                Object.keys(obj).should.deepEqual(tradeLogHeader);
+                obj.period.should.equal(i+1);
+                obj.q.should.equal(1);
+            });
+        });
+        it('the columns ohlc log should have Float64Array columns matching the trade prices', function(){
+            let columns = S.logs.ohlc.columns();
+            Object.keys(columns).should.deepEqual(logHeaders.ohlc);
+            columns.period.should.be.instanceOf(Float64Array);
+            Array.from(columns.period).should.deepEqual([1,2,3]);
+            let prices = S.logs.trade.data.map((row)=>(row[tradeLogHeader.indexOf('price')]));
+            Array.from(columns.close).should.deepEqual(prices);
+            S.logs.ohlc.lastByKey('high').should.equal(prices[2]);
+        });
+        it('the custom sink should receive the effalloc header and one row per period, with the log name', function(){
+            received.should.deepEqual([
+                ['header', 'effalloc', logHeaders.effalloc],
+                ['row', 'effalloc', [1,100,100,0]],
+                ['row', 'effalloc', [2,100,100,0]],
+                ['row', 'effalloc', [3,100,100,0]]
+            ]);
+            S.logs.effalloc.lastByKey('efficiencyOfAllocation').should.equal(100);
+        });
+    });
+    it('logSinks.default should apply to logs without their own sink', function(){
+        let S = new Simulation(Object.assign({}, configSinks, {logSinks: {default:'columns', trade:'csv'}}));
+        S.logs.ohlc.should.be.instanceOf(ColumnLog);
+        S.logs.roster.should.be.instanceOf(ColumnLog);
+        S.logs.trade.data.should.deepEqual([tradeLogHeader]);
+    });
+    it('a ColumnLog should store blanks as NaN, switch a column to an array on strings, grow as needed, and write csv', function(){
+        let log = new ColumnLog().setHeader(['a','b','c']);
+        for(let i=0;i<2000;++i)
+            log.write([i, (i%2)? '': i, (i<1999)? i: 'x']);
+        log.length.should.equal(2000);
+        let columns = log.columns();
+        columns.a.should.be.instanceOf(Float64Array);
+        columns.a.length.should.equal(2000);
+        columns.a[1999].should.equal(1999);
+        columns.b.should.be.instanceOf(Float64Array);
+        assert.ok(isNaN(columns.b[1]));
+        columns.b[2].should.equal(2);
+        Array.isArray(columns.c).should.equal(true);
+        columns.c.slice(1997).should.deepEqual([1997,1998,'x']);
+        log.toString().split("\n").slice(0,3).should.deepEqual(['a,b,c','0,0,0','1,,1']);
+        (()=>(log.write({a:1}))).should.throw(/expected an array row/);
+    });
+    it('validateConfig should report unknown log names and sinks in config.logSinks', function(){
+        singleMarketRobotSimulator.validateConfig(Object.assign({}, configSinks, {logSinks: {trades:'csv', ohlc:'xml', profit:{}}})).should.deepEqual([
+            'config.logSinks.trades: expected a log name or default',
+            'config.logSinks.ohlc: expected one of csv,jsonl,columns,stream or an object with a write function, got "xml"',
+            'config.logSinks.profit: expected one of csv,jsonl,columns,stream or an object with a write function, got {}'
+        ]);
+        singleMarketRobotSimulator.validateConfig(Object.assign({}, configSinks, {logSinks: 'jsonl'})).should.deepEqual([
+            'config.logSinks: expected object, got "jsonl"'
+        ]);
+    });
+});
+
+describe('journal and replay', function(){
+    let configJournal = {
+        L:1,
+        H:200,
+        buyerValues: [150,120,100,80,60],
+        sellerCosts: [20,40,60,80,100],
+        buyerAgentType: ["ZIAgent","UnitAgent"],
+        sellerAgentType: ["ZIAgent"],
+        periods: 4,
+        silent: true
+    };
+    let S = new Simulation(Object.assign({}, configJournal, {journal:true})).run({sync:true});
+    it('the journal should record wakes and orders for every period, each order with its agent id', function(){
+        S.journal.length.should.be.above(0);
+        [1,2,3,4].forEach(function(period){
+            let entries = S.journal.filter((entry)=>(entry.period===period));
+            entries.filter((entry)=>(entry.event==='wake')).length.should.be.above(0);
+            entries.filter((entry)=>(entry.event==='order')).forEach(function(entry){
+                entry.order[S.xMarket.o.idCol].should.equal(entry.id);
+            });
+        });
+        let wakes = S.journal.filter((entry)=>(entry.event==='wake'));
+        wakes.forEach((entry)=>(S.pool.agentsById[entry.id].should.be.ok()));
+    });
+    it('a Simulation without config.journal should not have a journal', function(){
+        assert.ok(new Simulation(Object.assign({}, configJournal)).journal===undefined);
+    });
+    it('replay() of the JSON journal should reproduce the trade, ohlc, effalloc, profit and order logs exactly', function(){
+        let R = new Simulation(Object.assign({}, configJournal)).replay(JSON.parse(JSON.stringify(S.journal)));
+        R.period.should.equal(4);
+        R.logs.trade.data.length.should.be.above(1);
+        ['trade','ohlc','effalloc','profit','buyorder','sellorder','equilibrium'].forEach(function(name){
+            R.logs[name].data.should.deepEqual(S.logs[name].data);
+        });
+        R.periodStats.should.deepEqual(S.periodStats);
+    });
+    it('replay() should throw on a journal that is not an array, or an order from an unknown agent', function(){
+        let R = new Simulation(Object.assign({}, configJournal));
+        (()=>(R.replay({}))).should.throw(/expected journal to be an array/);
+        let order = S.journal.find((entry)=>(entry.event==='order'));
+        (()=>(R.replay([Object.assign({}, order, {id:99})]))).should.throw(/no agent with id 99/);
+    });
+});
+
+describe('checkpoint and resume', function(){
+    let configResume = {
+        L:1,
+        H:200,
+        buyerValues: [150,120,100,80,60],
+        sellerCosts: [20,40,60,80,100],
+        buyerAgentType: ["ZIAgent","UnitAgent"],
+        sellerAgentType: ["ZIAgent","KaplanSniperAgent"],
+        schedules: [{fromPeriod:4, buyerValues:[170,130,110,90,70]}],
+        journal: true,
+        seed: 7,
+        periods: 6,
+        silent: true
+    };
+    let whole = new Simulation(Object.assign({}, configResume)).run({sync:true});
+    let first = new Simulation(Object.assign({}, configResume, {periods:3})).run({sync:true});
+    let checkpoint = JSON.parse(JSON.stringify(first.checkpoint()));
+    it('checkpoint() should record the period, random number position, agents, and logs', function(){
+        checkpoint.period.should.equal(3);
+        checkpoint.randomUseCount.should.equal(first.random.getUseCount());
+        checkpoint.randomUseCount.should.be.above(0);
+        checkpoint.agents.map((A)=>(A.id)).should.deepEqual([1,2,3,4,5,6,7,8,9,10]);
+        checkpoint.agents[0].should.not.have.property('markets');
+        Object.keys(checkpoint.logs).should.deepEqual(Object.keys(first.logs));
+        checkpoint.logs.trade.data.should.deepEqual(first.logs.trade.data);
+        checkpoint.periodStats.length.should.equal(3);
+    });
+    it('seededRandom(seed, useCount) should continue the sequence of seededRandom(seed)', function(){
+        let a = singleMarketRobotSimulator.seededRandom(3);
+        for(let i=0;i<10;++i) a();
+        let b = singleMarketRobotSimulator.seededRandom(3, a.getUseCount());
+        b().should.equal(a());
+    });
+    it('Simulation.resume() and run() to period 6 should reproduce every log of an uninterrupted seeded run', function(){
+        let resumed = Simulation.resume(checkpoint, {periods:6});
+        resumed.period.should.equal(3);
+        resumed.run({sync:true});
+        resumed.period.should.equal(6);
+        Object.keys(whole.logs).forEach(function(name){
+            resumed.logs[name].data.should.deepEqual(whole.logs[name].data);
+        });
+        resumed.periodStats.should.deepEqual(JSON.parse(JSON.stringify(whole.periodStats)));
+        resumed.journal.should.deepEqual(whole.journal);
+        resumed.buyersPool.agents[0].values.X.should.deepEqual(whole.buyersPool.agents[0].values.X);
+    });
+    it('a resumed columns log should continue from its rows at the checkpoint', function(){
+        let config = Object.assign({}, configResume, {periods:2, logSinks:{ohlc:'columns'}});
+        let S = new Simulation(config).run({sync:true});
+        let resumed = Simulation.resume(JSON.parse(JSON.stringify(S.checkpoint())), {periods:4}).run({sync:true});
+        Array.from(resumed.logs.ohlc.columns().period).should.deepEqual([1,2,3,4]);
+        resumed.logs.ohlc.rows().slice(0,2).should.deepEqual(S.logs.ohlc.rows());
+    });
+    it('resuming logs on the file system should drop rows written after the checkpoint and append', function(){
+        let dirs = [tmpDir('resume-whole-'), tmpDir('resume-parts-')];
+        global.fs = fs;
+        try {
+            let config = Object.assign({}, configResume, {logToFileSystem:true, journal:false});
+            new Simulation(Object.assign({}, config, {logDir:dirs[0]})).run({sync:true});
+            let saved;
+            new Simulation(Object.assign({}, config, {logDir:dirs[1]})).run({
+                sync: true,
+                update(sim){
+                    if (sim.period===3)
+                        saved = JSON.stringify(sim.checkpoint());
+                    return sim;
+                }
+            });
+            JSON.parse(saved).logs.trade.should.have.properties(['fname','size']);
+            Simulation.resume(JSON.parse(saved)).run({sync:true});
+            ['trade','ohlc','profit','buyorder','roster'].forEach(function(name){
+                let uninterrupted = fs.readFileSync(dirs[0]+'/'+name+'.csv', 'utf8');
+                uninterrupted.length.should.be.above(0);
+                fs.readFileSync(dirs[1]+'/'+name+'.csv', 'utf8').should.equal(uninterrupted);
+            });
+        } finally {
+            delete global.fs;
+            dirs.forEach(removeDir);
+        }
+    });
+    it('a finished simulation with logs on the file system should checkpoint, and run again after raising periods', function(){
+        let dirs = [tmpDir('finished-whole-'), tmpDir('finished-parts-')];
+        global.fs = fs;
+        try {
+            let config = Object.assign({}, configResume, {logToFileSystem:true, journal:false});
+            new Simulation(Object.assign({}, config, {logDir:dirs[0]})).run({sync:true});
+            let S = new Simulation(Object.assign({}, config, {logDir:dirs[1], periods:3})).run({sync:true});
+            S.logs.trade.should.not.have.property('fd');
+            let saved = JSON.parse(JSON.stringify(S.checkpoint()));
+            saved.logs.trade.size.should.equal(fs.statSync(dirs[1]+'/trade.csv').size);
+            S.config.periods = 6;
+            S.run({sync:true});
+            S.period.should.equal(6);
+            S.logs.trade.should.not.have.property('fd');
+            ['trade','ohlc','profit','buyorder'].forEach(function(name){
+                fs.readFileSync(dirs[1]+'/'+name+'.csv', 'utf8').should.equal(fs.readFileSync(dirs[0]+'/'+name+'.csv', 'utf8'));
+            });
+            Simulation.resume(saved, {periods:6}).run({sync:true}).period.should.equal(6);
+            fs.readFileSync(dirs[1]+'/trade.csv', 'utf8').should.equal(fs.readFileSync(dirs[0]+'/trade.csv', 'utf8'));
+        } finally {
+            delete global.fs;
+            dirs.forEach(removeDir);
+        }
+    });
+});
+
+// worker threads are missing before node 10.5, where runBatchParallel() rejects
+const workerThreadsAvailable = (function(){
+    try {
+        return Boolean(module.require('worker_threads'));
+    } catch(e){
+        return false;
+    }
+}());
+
+(workerThreadsAvailable? describe: describe.skip)('runBatchParallel', function(){
+    const {runBatch, runBatchParallel} = singleMarketRobotSimulator;
+    let configA = {
+        L:1,
+        H:200,
+        buyerValues: [150,120,100],
+        sellerCosts: [20,40,60],
+        buyerAgentType: ["ZIAgent"],
+        sellerAgentType: ["ZIAgent"],
+        periods: 3,
+        seed: 10,
+        silent: true
+    };
+    let configB = Object.assign({}, configA, {buyerAgentType:["UnitAgent"]});
+    delete configB.seed;
+    const logDir = tmpDir('parallel-');
+    after(function(){ removeDir(logDir); });
+    let options = {replications:2, logDir, logToFileSystem:false, execArgv:['--require','babel-core/register']};
+    let results = {};
+    before(function(){
+        return (runBatchParallel([configA, configB], Object.assign({workers:2}, options))
+                .then(function(result){
+                    results.two = result;
+                    return runBatchParallel([configA, configB], Object.assign({workers:1}, options));
+                })
+                .then(function(result){ results.one = result; })
+               );
+    });
+    it('should seed every run, using replication number when the config has no seed', function(){
+        results.two.runs.map((run)=>([run.config, run.replication, run.seed])).should.deepEqual([
+            [0,0,10],[0,1,11],[1,0,0],[1,1,1]
+        ]);
+        results.two.index.data.slice(1).map((row)=>(row[3])).should.deepEqual([10,11,0,1]);
+    });
+    it('should collect each run\'s periodStats and logs, with headers, in the main thread', function(){
+        results.two.runs.forEach(function(run){
+            run.periodStats.length.should.equal(3);
+            run.logs.trade[0].should.deepEqual(tradeLogHeader);
+            run.logs.ohlc.length.should.equal(4);
+        });
+    });
+    it('results should not depend on the number of workers', function(){
+        results.two.runs.should.deepEqual(results.one.runs);
+        results.two.summary.data.should.deepEqual(results.one.summary.data);
+    });
+    it('results should match runBatch for the same seeds', function(){
+        let seeded = [configA, Object.assign({}, configB, {seed:0})];
+        let serial = runBatch(seeded, {replications:2, logDir, logToFileSystem:false, sync:true});
+        results.two.runs.slice(0,2).forEach(function(run, i){
+            run.logs.trade.should.deepEqual(serial.runs[i].sim.logs.trade.data);
+        });
+        results.two.runs[2].logs.trade.should.deepEqual(serial.runs[2].sim.logs.trade.data);
+        results.two.summary.data.slice(0,1+12).should.deepEqual(serial.summary.data.slice(0,1+12));
+    });
+    it('should reject when a run fails', function(){
+        let bad = Object.assign({}, configA, {buyerAgentType:["NoSuchAgent"]});
+        return runBatchParallel([bad], Object.assign({workers:1}, options)).then(
+            function(){ throw new Error("expected rejection"); },
+            function(e){ e.message.should.match(/runBatchParallel: run 0/); }
+        );
+    });
+    it('should reject when a worker exits before reporting its run', function(){
+        // loaded ahead of the worker's own code, this exits the worker on its first task
+        let exiting = path.join(logDir, 'exit.js');
+        fs.writeFileSync(exiting, "require('worker_threads').parentPort.once('message', function(){ process.exit(3); });");
+        return runBatchParallel([configA], Object.assign({}, options, {workers:1, execArgv:options.execArgv.concat(['--require', exiting])})).then(
+            function(){ throw new Error("expected rejection"); },
+            function(e){ e.message.should.equal("runBatchParallel: worker exited with code 3 before reporting run 0"); }
+        );
+    });
+    it('should reject configs with logSinks or a journal, which the workers would not return', function(){
+        let configs = [configA, Object.assign({}, configA, {logSinks:{trade:'jsonl'}, journal:true})];
+        return runBatchParallel(configs, Object.assign({workers:1}, options)).then(
+            function(){ throw new Error("expected rejection"); },
+            function(e){ e.message.should.equal("runBatchParallel: not supported in worker threads, use runBatch() instead: configs[1].logSinks, configs[1].journal"); }
+        );
+    });
+});
+
+describe('stream logs', function(){
+    const {StreamLog} = singleMarketRobotSimulator;
+    let configStream = {
+        L:1,
+        H:200,
+        buyerValues: [150,120,100,80],
+        sellerCosts: [20,40,60,80],
+        buyerAgentType: ["ZIAgent"],
+        sellerAgentType: ["KaplanSniperAgent","ZIAgent"],
+        logSinks: {default:'stream'},
+        logTail: 5,
+        seed: 3,
+        periods: 6,
+        silent: true
+    };
+    const streamDir = tmpDir('stream-');
+    after(function(){ removeDir(streamDir); });
+    function dir(name){
+        let d = path.join(streamDir, name);
+        if (!fs.existsSync(d)) fs.mkdirSync(d);
+        return d;
+    }
+    let S = new Simulation(Object.assign({}, configStream, {logDir:dir('whole')})).run({sync:true});
+    let M = new Simulation(Object.assign({}, configStream, {logSinks:undefined})).run({sync:true});
+    it('should keep at most logTail rows of each log in memory', function(){
+        S.logs.buyorder.should.be.instanceOf(StreamLog);
+        S.logs.buyorder.data.length.should.equal(5);
+        M.logs.buyorder.data.length.should.be.above(100);
+        S.logs.buyorder.data.should.deepEqual(M.logs.buyorder.data.slice(-5));
+    });
+    it('the files should contain every row, identical to the same seeded run logged in memory', function(){
+        ['trade','buyorder','sellorder','ohlc','profit','roster'].forEach(function(name){
+            fs.readFileSync(dir('whole')+'/'+name+'.csv', 'utf8').should.equal(M.logs[name].toString());
+        });
+        S.logs.ohlc.toString().should.equal(M.logs.ohlc.toString());
+    });
+    it('lastByKey and KaplanSniperAgent juicy prices should use the last ohlc row', function(){
+        let last = M.logs.ohlc.data[M.logs.ohlc.data.length-1];
+        S.logs.ohlc.lastByKey('high').should.equal(last[2]);
+        let sniper = S.sellersPool.agents[0];
+        sniper.should.be.instanceOf(MarketAgents.KaplanSniperAgent);
+        sniper.getJuicyBidPrice().should.equal(last[2]);
+        sniper.getJuicyAskPrice().should.equal(last[3]);
+    });
+    it('a resumed stream log should continue the file from the checkpoint', function(){
+        let saved;
+        new Simulation(Object.assign({}, configStream, {logDir:dir('parts')})).run({
+            sync: true,
+            update(sim){
+                if (sim.period===3)
+                    saved = JSON.stringify(sim.checkpoint());
+                return sim;
+            }
+        });
+        let R = Simulation.resume(JSON.parse(saved)).run({sync:true});
+        R.logs.ohlc.data.should.deepEqual(S.logs.ohlc.data);
+        ['trade','buyorder','ohlc'].forEach(function(name){
+            fs.readFileSync(dir('parts')+'/'+name+'.csv', 'utf8').should.equal(fs.readFileSync(dir('whole')+'/'+name+'.csv', 'utf8'));
+        });
+    });
+    it('should close the stream files when the simulation finishes or is cancelled', function(){
+        S.logs.trade.should.not.have.property('fd');
+        let controller = abortController();
+        let C = new Simulation(Object.assign({}, configStream, {logDir:dir('cancelled')}));
+        C.logs.trade.fd.should.be.a.Number();
+        controller.abort();
+        C.run({sync:true, signal:controller.signal});
+        C.status.should.equal('cancelled');
+        Object.keys(C.logs).forEach((name)=>(C.logs[name].should.not.have.property('fd')));
+        fs.readFileSync(dir('cancelled')+'/trade.csv', 'utf8').should.equal(C.logs.trade.stringify(tradeLogHeader));
+    });
+    it('validateConfig should require an integer logTail', function(){
+        singleMarketRobotSimulator.validateConfig(Object.assign({}, configStream, {logTail:'all'})).should.deepEqual([
+            'config.logTail: expected integer, got "all"'
+        ]);
+    });
+});
+
+describe('Simulation events', function(){
+    let configEvents = {
+        L:1,
+        H:200,
+        buyerValues: [150,120,100],
+        sellerCosts: [20,40,60],
+        buyerAgentType: ["ZIAgent"],
+        sellerAgentType: ["ZIAgent"],
+        periods: 3,
+        silent: true
+    };
+    function listen(S){
+        let events = {periodStart:[], order:[], reject:[], trade:[], periodEnd:[], done:[]};
+        Object.keys(events).forEach(function(name){
+            S.on(name, (x)=>(events[name].push(x)));
+        });
+        return events;
+    }
+    it('Simulation should be an EventEmitter', function(){
+        new Simulation(Object.assign({}, configEvents)).should.be.instanceOf(EventEmitter);
+    });
+    describe('synchronous run', function(){
+        let S = new Simulation(Object.assign({}, configEvents));
+        let events = listen(S);
+        S.run({sync:true});
+        it('should emit periodStart with each period number, and done once with the simulation', function(){
+            events.periodStart.should.deepEqual([1,2,3]);
+            events.done.length.should.equal(1);
+            events.done[0].should.equal(S);
+        });
+        it('should emit trade for each fill, with the trade log fields including profits', function(){
+            events.trade.length.should.equal(S.logs.trade.data.length-1);
+            events.trade.forEach(function(fill, i){
+                Object.keys(fill).should.deepEqual(tradeLogHeader);
+                tradeLogHeader.map((k)=>(fill[k])).should.deepEqual(S.logs.trade.data[i+1]);
+            });
+        });
+        it('should emit order for each order, matching the order logs', function(){
+            events.order.length.should.equal(S.logs.buyorder.data.length+S.logs.sellorder.data.length-2);
+            events.order.filter((order)=>(order.buyPrice)).map((order)=>([order.period, order.t, order.id, order.buyPrice])).should.deepEqual(
+                S.logs.buyorder.data.slice(1).map((row)=>([row[0], row[1], row[3], row[6]]))
+            );
+        });
+        it('should emit periodEnd with periodStats fields and the ohlc row as an object', function(){
+            events.periodEnd.length.should.equal(3);
+            events.periodEnd.forEach(function(end, i){
+                end.should.have.properties(S.periodStats[i]);
+                let ohlc = S.logs.ohlc.data.find((row)=>(row[0]===end.period));
+                if (ohlc){
+                    end.ohlc.should.deepEqual({period:ohlc[0], open:ohlc[1], high:ohlc[2], low:ohlc[3], close:ohlc[4], volume:ohlc[5], median:ohlc[6], mean:ohlc[7], sd:ohlc[8], fundamentalValue:''});
+                } else {
+                    assert.ok(end.ohlc===undefined);
+                }
+            });
+        });
+    });
+    it('should emit reject for orders the market rejects, even without order logs', function(){
+        let S = new Simulation(Object.assign({}, configEvents, {withoutOrderLogs:true}));
+        let events = listen(S);
+        let order = MEC.oa({t:1, id:1, q:1, buyPrice:100});
+        S.xMarket.emit('reject', order);
+        events.reject.length.should.equal(1);
+        events.reject[0].should.have.properties({period:0, t:1, id:1, q:1, buyPrice:100});
+    });
+    it('an asynchronous run should emit done before resolving', function(){
+        let S = new Simulation(Object.assign({}, configEvents));
+        let events = listen(S);
+        return S.run().then(function(sim){
+            events.done.should.deepEqual([sim]);
+            events.periodStart.should.deepEqual([1,2,3]);
+        });
+    });
+    it('replay() should emit periodStart, trade, periodEnd and done', function(){
+        let J = new Simulation(Object.assign({}, configEvents, {journal:true})).run({sync:true});
+        let R = new Simulation(Object.assign({}, configEvents));
+        let events = listen(R);
+        R.replay(J.journal);
+        events.periodStart.should.deepEqual([1,2,3]);
+        events.trade.length.should.equal(J.logs.trade.data.length-1);
+        events.periodEnd.length.should.equal(3);
+        events.done.should.deepEqual([R]);
+    });
+});
+
+describe('pause, resume and cancel', function(){
+    let configControl = {
+        L:1,
+        H:200,
+        buyerValues: [150,120,100],
+        sellerCosts: [20,40,60],
+        buyerAgentType: ["ZIAgent"],
+        sellerAgentType: ["ZIAgent"],
+        periods: 5,
+        silent: true
+    };
+    it('a new Simulation should have status ready, and done after a run', function(){
+        let S = new Simulation(Object.assign({}, configControl));
+        S.status.should.equal('ready');
+        S.run({sync:true});
+        S.status.should.equal('done');
+        S.period.should.equal(5);
+    });
+    it('pause() and resume() should do nothing unless running or paused', function(){
+        let S = new Simulation(Object.assign({}, configControl));
+        let events = [];
+        S.on('pause', ()=>(events.push('pause')));
+        S.on('resume', ()=>(events.push('resume')));
+        S.pause().should.equal(S);
+        S.resume().should.equal(S);
+        S.status.should.equal('ready');
+        events.should.deepEqual([]);
+    });
+    it('an asynchronous run paused after period 2 should wait until resume(), then finish', function(){
+        let S = new Simulation(Object.assign({}, configControl));
+        let events = [];
+        let periodWhenResumed = 0;
+        S.on('periodEnd', function(stats){
+            if (stats.period===2){
+                S.pause();
+                setTimeout(function(){
+                    periodWhenResumed = S.period;
+                    S.status.should.equal('paused');
+                    S.resume();
+                }, 300);
+            }
+        });
+        S.on('pause', ()=>(events.push('pause')));
+        S.on('resume', ()=>(events.push('resume')));
+        S.on('done', ()=>(events.push('done')));
+        return S.run().then(function(sim){
+            periodWhenResumed.should.equal(2);
+            events.should.deepEqual(['pause','resume','done']);
+            sim.status.should.equal('done');
+            sim.period.should.equal(5);
+            sim.periodStats.length.should.equal(5);
+        });
+    });
+    it('aborting an asynchronous run should resolve with partial results, status cancelled, and config unchanged', function(){
+        let config = Object.assign({}, configControl);
+        let S = new Simulation(config);
+        let controller = abortController();
+        let done = [];
+        S.on('periodEnd', function(stats){
+            if (stats.period===2) controller.abort();
+        });
+        S.on('done', (sim)=>(done.push(sim)));
+        return S.run({signal: controller.signal}).then(function(sim){
+            sim.status.should.equal('cancelled');
+            sim.period.should.equal(2);
+            sim.periodStats.length.should.equal(2);
+            sim.logs.ohlc.data.length.should.be.within(1,3);
+            config.periods.should.equal(5);
+            assert.ok(config.periodsRequested===undefined);
+            done.should.deepEqual([sim]);
+        });
+    });
+    it('waiting while paused should not leave abort listeners on the signal after resume()', function(){
+        let S = new Simulation(Object.assign({}, configControl));
+        let controller = abortController();
+        S.on('periodEnd', function(stats){
+            if (stats.period<=3){
+                S.pause();
+                setTimeout(()=>(S.resume()), 50);
+            }
+        });
+        return S.run({signal: controller.signal}).then(function(sim){
+            sim.status.should.equal('done');
+            controller.signal.listenerCount('abort').should.equal(0);
+        });
+    });
+    it('aborting a paused run should resolve without resuming', function(){
+        let S = new Simulation(Object.assign({}, configControl));
+        let controller = abortController();
+        S.on('periodEnd', function(stats){
+            if (stats.period===1){
+                S.pause();
+                setTimeout(()=>(controller.abort()), 100);
+            }
+        });
+        return S.run({signal: controller.signal}).then(function(sim){
+            sim.status.should.equal('cancelled');
+            sim.period.should.equal(1);
+        });
+    });
+    describe('a run that fails', function(){
+        const dir = tmpDir('failed-');
+        after(function(){ removeDir(dir); });
+        let configFailing = Object.assign({}, configControl, {logSinks:{default:'stream'}, logDir: dir});
+        function failAtPeriod2(sim){
+            if (sim.period===2)
+                throw new Error("update failed");
+            return sim;
+        }
+        function shouldBeClosed(S){
+            Object.keys(S.logs).forEach((name)=>(S.logs[name].should.not.have.property('fd')));
+        }
+        it('synchronously, should close its log files and throw', function(){
+            let S = new Simulation(Object.assign({}, configFailing));
+            (()=>(S.run({sync:true, update: failAtPeriod2}))).should.throw("update failed");
+            shouldBeClosed(S);
+        });
+        it('asynchronously, should close its log files and reject', function(){
+            let S = new Simulation(Object.assign({}, configFailing));
+            return S.run({update: failAtPeriod2}).then(
+                function(){ throw new Error("expected rejection"); },
+                function(e){
+                    e.message.should.equal("update failed");
+                    shouldBeClosed(S);
+                }
+            );
+        });
+    });
+    it('a synchronous run with an aborted signal should run no periods', function(){
+        let controller = abortController();
+        controller.abort();
+        let S = new Simulation(Object.assign({}, configControl)).run({sync:true, signal: controller.signal});
+        S.status.should.equal('cancelled');
+        S.period.should.equal(0);
+    });
+    describe('realtime', function(){
+        let configRealtime = Object.assign({}, configControl, {realtime:1, periodDuration:1, periods:2});
+        it('pausing for 1 sec should delay a realtime run by about 1 sec', function(){
+            this.timeout(10000);
+            let S = new Simulation(Object.assign({}, configRealtime));
+            let tInit = Date.now();
+            setTimeout(()=>(S.pause()), 300);
+            setTimeout(()=>(S.resume()), 1300);
+            return S.run().then(function(sim){
+                sim.status.should.equal('done');
+                sim.period.should.equal(2);
+                ((Date.now()-tInit)/1000.0).should.be.within(3,3.8);
+            });
+        });
+        it('aborting a realtime run should end the current period early, and clear the interval', function(){
+            this.timeout(10000);
+            let S = new Simulation(Object.assign({}, configRealtime));
+            let controller = abortController();
+            let updates = 0;
+            function update(sim){
+                updates++;
+                return sim;
+            }
+            let tInit = Date.now();
+            setTimeout(()=>(controller.abort()), 300);
+            return S.run({signal: controller.signal, update}).then(function(sim){
+                updates.should.equal(0);
+                sim.status.should.equal('cancelled');
+                sim.period.should.equal(1);
+                sim.periodStats.length.should.equal(0);
+                assert.ok(sim.realtimeIntervalId===undefined);
+                ((Date.now()-tInit)/1000.0).should.be.below(0.8);
+            });
+        });
+    });
+});
+
+describe('HumanAgent', function(){
+    const {HumanAgent} = singleMarketRobotSimulator;
+    let configHuman = {
+        L:1,
+        H:200,
+        buyerValues: [150,120],
+        sellerCosts: [20,40,60],
+        buyerAgentType: ["HumanAgent","ZIAgent"],
+        sellerAgentType: ["ZIAgent"],
+        sellerRate: [20],
+        periods: 2,
+        silent: true
+    };
+    it('should be a registered Trader agent type in configSchema', function(){
+        (new HumanAgent()).should.be.instanceOf(MarketAgents.Trader);
+        singleMarketRobotSimulator.configSchema.items.properties.buyerAgentType.items.enum.should.containEql('HumanAgent');
+        singleMarketRobotSimulator.configSchema.items.properties.sellerAgentType.items.enum.should.containEql('HumanAgent');
+    });
+    it('should receive values in the normal distribution, and never wake or send orders by itself, even when seeded', function(){
+        let S = new Simulation(Object.assign({}, configHuman, {seed:7})).run({sync:true});
+        let human = S.pool.agentsById[1];
+        human.should.be.instanceOf(HumanAgent);
+        human.agentType.should.equal('HumanAgent');
+        human.values.X.should.deepEqual([150]);
+        S.logs.buyorder.data.slice(1).filter((row)=>(row[3]===1)).length.should.equal(0);
+        S.logs.buyorder.data.length.should.be.above(1);
+    });
+    it('submitHumanOrder should throw unless a realtime period is running', function(){
+        let S = new Simulation(Object.assign({}, configHuman));
+        (()=>(S.submitHumanOrder(1, {buyPrice:100}))).should.throw(/only while a realtime period is running/);
+        S.run({sync:true});
+        (()=>(S.submitHumanOrder(1, {buyPrice:100}))).should.throw(/only while a realtime period is running/);
+    });
+    describe('in a realtime period', function(){
+        let S, results = [], errors = [];
+        before(function(){
+            this.timeout(10000);
+            S = new Simulation(Object.assign({}, configHuman, {realtime:1, periodDuration:1, periods:1}));
+            function attempt(id, order){
+                try {
+                    results.push(S.submitHumanOrder(id, order));
+                } catch(e){
+                    errors.push(e.message);
+                }
+            }
+            S.on('periodStart', function(){
+                setTimeout(function(){
+                    attempt(2, {buyPrice:100});
+                    attempt(1, {buyPrice:151});
+                    attempt(1, {buyPrice:0});
+                    attempt(1, {sellPrice:100});
+                    attempt(1, {buyPrice:100, sellPrice:100});
+                    attempt(1, {});
+                    attempt(1, {buyPrice:140});
+                }, 200);
+            });
+            return S.run();
+        });
+        it('should reject orders from robots, over budget, out of range, or not a single buy or sell price', function(){
+            errors.length.should.equal(6);
+            errors[0].should.match(/not a HumanAgent/);
+            errors[1].should.match(/exceeds the value 150/);
+            errors[2].should.match(/outside the allowed range/);
+            errors[3].should.match(/no units left to sell/);
+            errors[4].should.match(/not both/);
+            errors[5].should.match(/not both/);
+        });
+        it('should submit a valid order to the market with the current realtime t, and log it', function(){
+            results.length.should.equal(1);
+            results[0].should.have.properties({period:1, id:1, q:1, buyPrice:140});
+            results[0].t.should.be.within(1.1, 1.5); // period 1 runs from t=1 to t=2
+            let logged = S.logs.buyorder.data.slice(1).filter((row)=>(row[3]===1));
+            logged.length.should.equal(1);
+            logged[0][6].should.equal(140);
+        });
+    });
+});
+
+describe('Gateway for remote agents', function(){
+    const {Gateway, RemoteAgent} = singleMarketRobotSimulator;
+    let configRemote = {
+        L:1,
+        H:200,
+        buyerValues: [150,120],
+        sellerCosts: [20,40,60],
+        buyerAgentType: ["RemoteAgent","ZIAgent"],
+        sellerAgentType: ["ZIAgent"],
+        periodDuration: 10,
+        periods: 2,
+        silent: true
+    };
+    function postJSON(port, urlPath, body){
+        return new Promise(function(resolve, reject){
+            let req = http.request({host:'127.0.0.1', port, path: urlPath, method:'POST', headers:{'Content-Type':'application/json'}}, function(res){
+                let text = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk)=>{ text += chunk; });
+                res.on('end', ()=>(resolve({status: res.statusCode, body: JSON.parse(text)})));
+            });
+            req.on('error', reject);
+            req.end(JSON.stringify(body));
+        });
+    }
+    function subscribe(port, id, onEvent){
+        return http.get({host:'127.0.0.1', port, path: '/events/'+id}, function(res){
+            let buffer = '';
+            res.setEncoding('utf8');
+            res.on('data', function(chunk){
+                buffer += chunk;
+                let blocks = buffer.split("\n\n");
+                buffer = blocks.pop();
+                blocks.forEach(function(block){
+                    let event, data;
+                    block.split("\n").forEach(function(line){
+                        if (line.startsWith('event: ')) event = line.slice(7);
+                        if (line.startsWith('data: ')) data = JSON.parse(line.slice(6));
+                    });
+                    if (event) onEvent(event, data);
+                });
+            });
+        });
+    }
+    it('RemoteAgent should be a registered Trader agent type', function(){
+        (new RemoteAgent()).should.be.instanceOf(MarketAgents.Trader);
+        singleMarketRobotSimulator.configSchema.items.properties.buyerAgentType.items.enum.should.containEql('RemoteAgent');
+    });
+    it('new Gateway should throw if the simulation has no RemoteAgent', function(){
+        (()=>(new Gateway(new Simulation(Object.assign({}, configRemote, {buyerAgentType:["ZIAgent"]}))))).should.throw(/no RemoteAgent/);
+    });
+    it('a simulation with a Gateway should refuse a synchronous run', function(){
+        let S = new Simulation(Object.assign({}, configRemote));
+        let G = new Gateway(S);
+        S.gateway.should.equal(G);
+        (()=>(S.run({sync:true}))).should.throw(/must run asynchronously/);
+    });
+    it('ready(signal) should resolve when every RemoteAgent has subscribed, and remove its abort listener', function(){
+        let G = new Gateway(new Simulation(Object.assign({}, configRemote)));
+        let controller = abortController();
+        let waiting = G.ready(controller.signal);
+        G.remoteAgents.forEach(function(A){ G.streams[A.id] = {}; });
+        G.checkReady();
+        return waiting.then(function(gateway){
+            gateway.should.equal(G);
+            controller.signal.listenerCount('abort').should.equal(0);
+        });
+    });
+    it('ready(signal) should resolve when the signal is aborted, and stop waiting', function(){
+        let G = new Gateway(new Simulation(Object.assign({}, configRemote)));
+        let controller = abortController();
+        let waiting = G.ready(controller.signal);
+        G.waiting.length.should.equal(1);
+        controller.abort();
+        return waiting.then(function(gateway){
+            gateway.should.equal(G);
+            G.waiting.length.should.equal(0);
+        });
+    });
+    it('aborting a run should end a pending wake at once, without waiting for the timeout, and remove its abort listener', function(){
+        let S = new Simulation(Object.assign({}, configRemote));
+        let G = new Gateway(S, {timeout: 10000});
+        let controller = abortController();
+        let wakes = 0;
+        // an event stream for RemoteAgent 1 that never answers a wake
+        G.streams[1] = {
+            write(text){
+                if (text.startsWith('event: wake') && (++wakes===1))
+                    setTimeout(()=>(controller.abort()), 50);
+            }
+        };
+        let tInit = Date.now();
+        return S.run({signal: controller.signal}).then(function(sim){
+            wakes.should.equal(1);
+            (Date.now()-tInit).should.be.below(2000);
+            sim.status.should.equal('cancelled');
+            sim.period.should.equal(1);
+            sim.periodStats.length.should.equal(0);
+            Object.keys(G.pending).length.should.equal(0);
+            controller.signal.listenerCount('abort').should.equal(0);
+        });
+    });
+    describe('asynchronous run with a remote buyer on localhost', function(){
+        let S, G, joined, periodAtJoin, events = [], replies = [];
+        before(function(){
+            this.timeout(20000);
+            S = new Simulation(Object.assign({}, configRemote));
+            G = new Gateway(S, {timeout: 5000});
+            let running, gotDone;
+            return (G
+                    .listen()
+                    .then(function(){
+                        running = S.run();
+                        return postJSON(G.port, '/join', {role:'buyer'});
+                    })
+                    .then(function(response){
+                        joined = response;
+                        return postJSON(G.port, '/join', {});
+                    })
+                    .then(function(response){
+                        replies.push(response);
+                        return postJSON(G.port, '/order', {id:1, buyPrice:100});
+                    })
+                    .then(function(response){
+                        replies.push(response);
+                        periodAtJoin = S.period;
+                        gotDone = new Promise(function(resolve){
+                            subscribe(G.port, 1, function(event, data){
+                                function sendOrder(){
+                                    let order = (data.value)? {id:1, buyPrice:data.value-10}: {id:1};
+                                    return postJSON(G.port, '/order', order).then((reply)=>(replies.push({wake: data, reply})));
+                                }
+                                events.push({event, data});
+                                if (event==='done') resolve();
+                                if (event==='wake'){
+                                    if (events.filter((e)=>(e.event==='wake')).length===1){
+                                        // the first wake is answered with an over-budget bid, refused, then a valid bid
+                                        postJSON(G.port, '/order', {id:1, buyPrice:data.value+1}).then(function(reply){
+                                            replies.push({wake: data, reply});
+                                            return sendOrder();
+                                        });
+                                    } else {
+                                        sendOrder();
+                                    }
+                                }
+                            });
+                        });
+                        return running;
+                    })
+                    .then(()=>(gotDone))
+                    .then(()=>(G.close()))
+                   );
+        });
+        it('should assign the RemoteAgent id, role and values on /join, and refuse a second join', function(){
+            joined.status.should.equal(200);
+            joined.body.should.have.properties({id:1, role:'buyer', values:[150], L:1, H:200});
+            replies[0].status.should.equal(400);
+            replies[0].body.error.should.match(/no RemoteAgent is available/);
+        });
+        it('should refuse an order when no wake is waiting for one', function(){
+            replies[1].status.should.equal(400);
+            replies[1].body.error.should.match(/no wake is waiting/);
+        });
+        it('should wait for the remote agent to subscribe before running the first period', function(){
+            periodAtJoin.should.equal(0);
+            S.status.should.equal('done');
+            S.period.should.equal(2);
+        });
+        it('should send periodStart with values, wake, trade, periodEnd and done events', function(){
+            let names = events.map((e)=>(e.event));
+            names.filter((name)=>(name==='periodStart')).length.should.equal(2);
+            names.filter((name)=>(name==='periodEnd')).length.should.equal(2);
+            names.filter((name)=>(name==='wake')).length.should.be.above(2);
+            names.filter((name)=>(name==='trade')).length.should.equal(S.logs.trade.data.length-1);
+            names[names.length-1].should.equal('done');
+            events[0].data.should.deepEqual({period:1, values:[150]});
+        });
+        it('should check orders against the budget constraint, and submit valid orders at the wake time', function(){
+            let wakeReplies = replies.slice(2);
+            wakeReplies.length.should.equal(1+events.filter((e)=>(e.event==='wake')).length);
+            wakeReplies[0].reply.status.should.equal(400);
+            wakeReplies[0].reply.body.error.should.match(/exceeds the value 150/);
+            let submitted = wakeReplies.filter((r)=>(r.reply.body.order)).map((r)=>([r.wake.t, r.reply.body.order.t, r.reply.body.order.buyPrice]));
+            submitted.length.should.be.above(0);
+            submitted.forEach((x)=>(x[0].should.equal(x[1])));
+            S.logs.buyorder.data.slice(1).filter((row)=>(row[3]===1)).map((row)=>([row[1], row[1], row[6]])).should.deepEqual(submitted);
+        });
+    });
+    it('in realtime mode, should accept orders at any time during a period', function(){
+        this.timeout(10000);
+        let S = new Simulation(Object.assign({}, configRemote, {realtime:1, periodDuration:1, periods:1}));
+        let G = new Gateway(S);
+        let reply;
+        return (G
+                .listen()
+                .then(()=>(postJSON(G.port, '/join', {})))
+                .then(function(){
+                    subscribe(G.port, 1, function(event){
+                        if (event==='periodStart')
+                            setTimeout(()=>(postJSON(G.port, '/order', {id:1, buyPrice:140}).then((r)=>{ reply = r; })), 200);
+                    });
+                    return S.run();
+                })
+                .then(()=>(G.close()))
+                .then(function(){
+                    reply.status.should.equal(200);
+                    reply.body.order.should.have.properties({period:1, id:1, buyPrice:140});
+                    S.logs.buyorder.data.slice(1).filter((row)=>(row[3]===1)).length.should.equal(1);
+                })
+               );
+    });
+});
+
+describe('book log', function(){
+    let configBook = {
+        L:1,
+        H:200,
+        buyerValues: [150,120,100],
+        sellerCosts: [20,40,60],
+        buyerAgentType: ["ZIAgent"],
+        sellerAgentType: ["ZIAgent"],
+        periods: 2,
+        logs: ['trade','buyorder','sellorder','book','booksnapshot'],
+        silent: true
+    };
+    it('should be in logNames, with headers', function(){
+        singleMarketRobotSimulator.logNames.should.containEql('book');
+        singleMarketRobotSimulator.logNames.should.containEql('booksnapshot');
+        singleMarketRobotSimulator.logHeaders.book.should.deepEqual(['period','t','tp','id','bid','ask','spread','midpoint','bidDepth','askDepth']);
+    });
+    describe('after each order of a scripted sequence', function(){
+        let S = new Simulation(Object.assign({}, configBook, {bookSnapshotEvery:2, bookSnapshotLevels:2}));
+        [
+            {t:1, id:1, q:1, buyPrice:100},
+            {t:2, id:2, q:1, buyPrice:110},
+            {t:3, id:4, q:1, sellPrice:130},
+            {t:4, id:5, q:2, sellPrice:130},
+            {t:5, id:6, q:1, sellPrice:105}
+        ].forEach(function(order){
+            S.xMarket.submit(MEC.oa(order));
+            while(S.xMarket.process()){} // eslint-disable-line no-empty
+        });
+        it('should record best bid, best ask, spread, midpoint and depth, after any trade', function(){
+            S.logs.book.data.slice(1).should.deepEqual([
+                [0,1,1,1,100,'','','',1,0],
+                [0,2,2,2,110,'','','',2,0],
+                [0,3,3,4,110,130,20,120,2,1],
+                [0,4,4,5,110,130,20,120,2,3],
+                [0,5,5,6,100,130,30,115,1,3]
+            ]);
+        });
+        it('should snapshot the top price levels of each book every 2nd order, with units and orders at each level', function(){
+            S.logs.booksnapshot.data.slice(1).should.deepEqual([
+                [0,2,2,'buy',1,110,1,1],
+                [0,2,2,'buy',2,100,1,1],
+                [0,4,4,'buy',1,110,1,1],
+                [0,4,4,'buy',2,100,1,1],
+                [0,4,4,'sell',1,130,3,2]
+            ]);
+        });
+    });
+    it('in a run, should have one book row per accepted order, and no snapshots unless bookSnapshotEvery is set', function(){
+        let S = new Simulation(Object.assign({}, configBook)).run({sync:true});
+        S.logs.book.data.length.should.equal(S.logs.buyorder.data.length+S.logs.sellorder.data.length-1);
+        S.logs.book.data.slice(1).forEach(function(row){
+            if (row[6]!=='')
+                row[6].should.be.above(0); // a crossed book would have traded
+        });
+        S.logs.booksnapshot.data.should.deepEqual([singleMarketRobotSimulator.logHeaders.booksnapshot]);
+    });
+    it('in a run with resetAfterEachTrade, should snapshot after every Nth order of each period', function(){
+        let S = new Simulation(Object.assign({}, configBook, {
+            seed: 5,
+            bookSnapshotEvery: 3,
+            xMarket: {buySellBookLimit:0, resetAfterEachTrade:true}
+        })).run({sync:true});
+        S.logs.trade.data.length.should.be.above(2);
+        [1,2].forEach(function(period){
+            // a snapshot of empty books, as after a trade resets them, has no rows
+            let expected = S.logs.book.data.slice(1)
+                .filter((row)=>(row[0]===period))
+                .filter((row, i)=>((((i+1)%3)===0) && ((row[8]+row[9])>0)))
+                .map((row)=>(row[1]));
+            let snapshotTimes = S.logs.booksnapshot.data.slice(1).filter((row)=>(row[0]===period)).map((row)=>(row[1]));
+            expected.length.should.be.above(0);
+            snapshotTimes.filter((t, i, times)=>(times.indexOf(t)===i)).should.deepEqual(expected);
+        });
+    });
+});
+
+describe('taxes and tick size', function(){
+    const {validateConfig} = singleMarketRobotSimulator;
+    it('validateConfig should check tax and tickSize', function(){
+        validateConfig(Object.assign({}, configScripted, {tax:{fixed:1, proportional:0.1, payer:'both'}, tickSize:0.5, tickRule:'reject'})).should.deepEqual([]);
+        validateConfig(Object.assign({}, configScripted, {tax:{fixed:-1, proportional:1, payer:'government'}, tickSize:0, tickRule:'truncate'})).should.deepEqual([
+            'config.tax.payer: expected one of buyer,seller,both, got "government"',
+            'config.tickRule: expected one of round,reject, got "truncate"',
+            'config.tax.fixed: expected a number not less than 0, got -1',
+            'config.tax.proportional: expected a number from 0 up to, but not including, 1, got 1',
+            'config.tickSize: expected a positive number, got 0'
+        ]);
+        validateConfig(Object.assign({}, configScripted, {tax:{fixed:1}})).should.deepEqual(['config.tax.payer: required']);
+    });
+    it('taxOn and reservation prices should follow the fixed and proportional tax of the payer', function(){
+        let B = new Simulation(Object.assign({}, configScripted, {tax:{fixed:2, proportional:0.1, payer:'buyer'}}));
+        B.taxOn('buyer', 100, 2).should.equal(24);
+        B.taxOn('seller', 100, 2).should.equal(0);
+        B.reservationBuyPrice(112).should.be.approximately(100, 1e-9);
+        B.reservationSellPrice(88).should.equal(88);
+        let S = new Simulation(Object.assign({}, configScripted, {tax:{fixed:2, proportional:0.1, payer:'seller'}}));
+        S.reservationSellPrice(88).should.be.approximately(100, 1e-9);
+        S.reservationBuyPrice(112).should.equal(112);
+        new Simulation(Object.assign({}, configScripted)).taxOn('buyer', 100, 1).should.equal(0);
+    });
+    describe('a trade at 100 with a tax of 5 plus 10% paid by both', function(){
+        let S = scripted({tax:{fixed:5, proportional:0.1, payer:'both'}}, [
+            {id:1, q:1, buyPrice:100},
+            {id:4, q:1, sellPrice:100}
+        ]);
+        it('the trade log should report gross profits, taxes and net profits', function(){
+            S.logs.trade.data.slice(1).should.deepEqual([[1,1001,1,100,1,1,150,50,4,20,80,15,15,35,65]]);
+        });
+        it('the profit log should report net profit, gross profit and tax for each agent', function(){
+            S.logs.profit.data.slice(1).filter((row)=>(row[5]>0)).should.deepEqual([
+                [1,1,'buyer','ZIAgent',35,1,50,15],
+                [1,4,'seller','ZIAgent',65,1,80,15]
+            ]);
+        });
+        it('the effalloc log should count the tax collected in efficiencyOfAllocation, but not in netEfficiencyOfAllocation', function(){
+            S.logs.effalloc.data.slice(1).should.deepEqual([[1,52,40,30]]);
+            S.periodStats[0].efficiencyOfAllocation.should.equal(52);
+        });
+    });
+    it('robots should keep within their budgets after tax', function(){
+        let S = new Simulation(Object.assign({}, configScripted, {seed:3, periods:5, tax:{fixed:10, proportional:0.05, payer:'both'}})).run({sync:true});
+        let header = S.logs.trade.data[0];
+        S.logs.trade.data.length.should.be.above(3);
+        S.logs.trade.data.slice(1).forEach(function(row){
+            row[header.indexOf('buyerNetProfit')].should.be.aboveOrEqual(0);
+            row[header.indexOf('sellerNetProfit')].should.be.aboveOrEqual(0);
+        });
+        let taxCol = header.indexOf('buyerTax');
+        let totalTax = S.logs.trade.data.slice(1).reduce((total, row)=>(total+row[taxCol]+row[taxCol+1]), 0);
+        let effallocTax = S.logs.effalloc.data.slice(1).reduce((total, row)=>(total+row[3]), 0);
+        effallocTax.should.be.approximately(totalTax, 1e-6);
+    });
+    it('with tickRule round, should round buy prices down and sell prices up to the tick, and reject bids rounding to 0', function(){
+        let S = scripted({tickSize:5}, [
+            {id:1, q:1, buyPrice:102},
+            {id:2, q:1, buyPrice:3},
+            {id:4, q:1, sellPrice:101.5},
+            {id:5, q:1, sellPrice:110}
+        ]);
+        S.logs.buyorder.data.slice(1).map((row)=>(row[6])).should.deepEqual([100]);
+        S.logs.rejectbuyorder.data.slice(1).map((row)=>([row[6], row[10]])).should.deepEqual([[3, 'tick']]);
+        S.logs.sellorder.data.slice(1).map((row)=>(row[8])).should.deepEqual([105,110]);
+    });
+    it('with tickRule reject, should reject orders with prices off the tick', function(){
+        let S = scripted({tickSize:0.05, tickRule:'reject'}, [
+            {id:1, q:1, buyPrice:100.05},
+            {id:2, q:1, buyPrice:100.01},
+            {id:4, q:1, sellPrice:100.3}
+        ]);
+        S.logs.buyorder.data.slice(1).map((row)=>(row[6])).should.deepEqual([100.05]);
+        S.logs.rejectbuyorder.data.slice(1).map((row)=>([row[6], row[10]])).should.deepEqual([[100.01, 'tick']]);
+        S.logs.sellorder.data.slice(1).map((row)=>(row[8])).should.deepEqual([100.3]);
+    });
+});
+
+describe('price ceilings and floors', function(){
+    const {validateConfig, rejectReasons} = singleMarketRobotSimulator;
+    it('rejectReasons should list ceiling, floor, tick and market', function(){
+        rejectReasons.should.deepEqual(['ceiling','floor','tick','market']);
+    });
+    it('validateConfig should require priceFloor less than priceCeiling', function(){
+        validateConfig(Object.assign({}, configScripted, {priceCeiling:90, priceFloor:30})).should.deepEqual([]);
+        validateConfig(Object.assign({}, configScripted, {priceCeiling:90, priceFloor:90})).should.deepEqual([
+            'config.priceFloor: expected less than config.priceCeiling 90, got 90'
+        ]);
+    });
+    describe('with a ceiling of 50 and a floor of 30', function(){
+        let rejects = [];
+        let S = new Simulation(Object.assign({}, configScripted, {priceCeiling:50, priceFloor:30}));
+        S.on('reject', (order)=>(rejects.push(order.reason)));
+        S.period = 1;
+        S.pool.initPeriod(1);
+        S.xMarket.clear();
+        [
+            {id:1, q:1, buyPrice:60},
+            {id:2, q:1, buyPrice:25},
+            {id:3, q:1, buyPrice:45},
+            {id:4, q:1, sellPrice:55},
+            {id:5, q:1, sellPrice:20},
+            {id:6, q:1, sellPrice:45}
+        ].forEach(function(order){
+            S.xMarket.submit(MEC.oa(Object.assign({t:1001}, order)));
+            while(S.xMarket.process()){} // eslint-disable-line no-empty
+        });
+        S.pool.endPeriod();
+        S.logPeriod();
+        it('should reject orders priced above the ceiling or below the floor, logging the reason', function(){
+            S.logs.rejectbuyorder.data.slice(1).map((row)=>([row[3], row[6], row[10]])).should.deepEqual([[1,60,'ceiling'],[2,25,'floor']]);
+            S.logs.rejectsellorder.data.slice(1).map((row)=>([row[3], row[8], row[10]])).should.deepEqual([[4,55,'ceiling'],[5,20,'floor']]);
+            rejects.should.deepEqual(['ceiling','floor','ceiling','floor']);
+        });
+        it('should accept and trade orders within the controls', function(){
+            S.logs.buyorder.data.slice(1).map((row)=>(row[3])).should.deepEqual([3]);
+            S.logs.sellorder.data.slice(1).map((row)=>(row[3])).should.deepEqual([6]);
+            S.logs.trade.data.slice(1).map((row)=>(row[3])).should.deepEqual([45]);
+        });
+        it('the pricecontrol log should report quantities demanded and supplied at each control price', function(){
+            S.logs.pricecontrol.data.should.deepEqual([
+                singleMarketRobotSimulator.logHeaders.pricecontrol,
+                [1,'ceiling',50,3,2,1,1],
+                [1,'floor',30,3,1,2,1]
+            ]);
+        });
+    });
+    it('should log market as the reason for rejections by the market\'s own rules, and keep no pricecontrol log without controls', function(){
+        let S = scripted({xMarket:{buyImprove:1}}, [
+            {id:1, q:1, buyPrice:40},
+            {id:2, q:1, buyPrice:30}
+        ]);
+        S.logs.rejectbuyorder.data.slice(1).map((row)=>([row[3], row[10]])).should.deepEqual([[2,'market']]);
+        S.logs.should.not.have.property('pricecontrol');
+    });
+    it('should check prices after rounding to the tick, and keep tick as the reason for orders off the tick and outside the controls', function(){
+        let rounded = scripted({priceCeiling:100, priceFloor:30, tickSize:0.05}, [
+            {id:1, q:1, buyPrice:100.04},
+            {id:4, q:1, sellPrice:29.99}
+        ]);
+        rounded.logs.rejectbuyorder.data.length.should.equal(1);
+        rounded.logs.rejectsellorder.data.length.should.equal(1);
+        rounded.logs.trade.data.slice(1).map((row)=>(row[3])).should.deepEqual([100]);
+        let rejected = scripted({priceCeiling:100, priceFloor:30, tickSize:0.05, tickRule:'reject'}, [
+            {id:1, q:1, buyPrice:100.01},
+            {id:2, q:1, buyPrice:100.05},
+            {id:4, q:1, sellPrice:29.99}
+        ]);
+        rejected.logs.rejectbuyorder.data.slice(1).map((row)=>([row[6], row[10]])).should.deepEqual([[100.01,'tick'],[100.05,'ceiling']]);
+        rejected.logs.rejectsellorder.data.slice(1).map((row)=>([row[8], row[10]])).should.deepEqual([[29.99,'tick']]);
+    });
+    it('robots should trade only within a binding ceiling, leaving excess demand', function(){
+        let S = new Simulation(Object.assign({}, configScripted, {seed:5, periods:3, priceCeiling:70})).run({sync:true});
+        S.logs.trade.data.length.should.be.above(1);
+        S.logs.trade.data.slice(1).forEach((row)=>(row[3].should.be.belowOrEqual(70)));
+        S.logs.rejectbuyorder.data.slice(1).forEach((row)=>(row[10].should.equal('ceiling')));
+        S.logs.rejectbuyorder.data.length.should.be.above(1);
+        S.logs.pricecontrol.data.slice(1).map((row)=>(row.slice(0,6))).should.deepEqual([
+            [1,'ceiling',70,3,3,0],
+            [2,'ceiling',70,3,3,0],
+            [3,'ceiling',70,3,3,0]
+        ]);
+    });
+});
+
+describe('asset market mode: carrying inventory and money between periods', function(){
+    const {validateConfig} = singleMarketRobotSimulator;
+    let configAsset = {
+        L:1,
+        H:200,
+        buyerValues: [150,120,100],
+        sellerCosts: [20,40,60],
+        buyerAgentType: ["ZIAgent"],
+        sellerAgentType: ["ZIAgent"],
+        periods: 3,
+        silent: true
+    };
+    let configHumans = {
+        L:1,
+        H:200,
+        carryInventory: true,
+        numberOfBuyers: 1,
+        numberOfSellers: 1,
+        buyerEndowment: {money:100},
+        sellerEndowment: {X:2},
+        buyerAgentType: ["HumanAgent"],
+        sellerAgentType: ["HumanAgent"],
+        periods: 2,
+        silent: true
+    };
+    function holdings(S, period){
+        return S.logs.holdings.data.slice(1).filter((row)=>(row[0]===period)).map((row)=>(row.slice(4)));
+    }
+    it('validateConfig should make buyerValues and sellerCosts optional only with carryInventory, requiring numbers of agents instead', function(){
+        validateConfig(configHumans).should.deepEqual([]);
+        validateConfig(Object.assign({}, configHumans, {numberOfBuyers: undefined, numberOfSellers: undefined})).should.deepEqual([
+            'config.numberOfBuyers: required without config.buyerValues',
+            'config.numberOfSellers: required without config.sellerCosts'
+        ]);
+        validateConfig(Object.assign({}, configHumans, {carryInventory: false})).should.deepEqual([
+            'config.buyerValues: required',
+            'config.sellerCosts: required'
+        ]);
+        validateConfig(Object.assign({}, configHumans, {sellerEndowment: [], buyerEndowment: {X:'1'}})).should.deepEqual([
+            'config.buyerEndowment.X: expected number, got "1"',
+            'config.sellerEndowment: expected at least 1 item(s)'
+        ]);
+    });
+    describe('without carryInventory, endowments of money', function(){
+        let S = new Simulation(Object.assign({}, configAsset, {buyerEndowment: {money:100}, sellerEndowment: [{money:10},{money:20}]}));
+        S.period = 1;
+        S.pool.initPeriod(1);
+        S.xMarket.clear();
+        [{id:1, q:1, buyPrice:100}, {id:4, q:1, sellPrice:100}].forEach(function(order){
+            S.xMarket.submit(MEC.oa(Object.assign({t:1001}, order)));
+            while(S.xMarket.process()){} // eslint-disable-line no-empty
+        });
+        S.pool.endPeriod();
+        S.logPeriod();
+        it('should be the starting money of each period, not counted in profit', function(){
+            holdings(S, 1).should.deepEqual([[0,150,150],[0,100,100],[0,100,100],[0,90,90],[0,20,20],[0,10,10]]);
+            S.logs.profit.data.slice(1).map((row)=>(row[4])).should.deepEqual([50,0,0,80,0,0]);
+            S.logs.effalloc.data.slice(1).should.deepEqual([[1,52,52,0]]);
+            S.pool.initPeriod(2);
+            S.pool.agents.map((A)=>(A.inventory)).should.deepEqual([
+                {X:0, money:100},
+                {X:0, money:100},
+                {X:0, money:100},
+                {X:0, money:10},
+                {X:0, money:20},
+                {X:0, money:10}
+            ]);
+        });
+    });
+    describe('with carryInventory and robots with values and costs', function(){
+        let S = new Simulation(Object.assign({}, configAsset, {seed:7, carryInventory:true})).run({sync:true});
+        it('should trade each unit at most once over all periods, as units carry over', function(){
+            S.logs.trade.data.length.should.be.above(1);
+            S.logs.trade.data.length.should.be.belowOrEqual(4);
+        });
+        it('should keep X and money between periods, with X and money conserved', function(){
+            [1,2,3].forEach(function(period){
+                let rows = holdings(S, period);
+                rows.reduce((total, row)=>(total+row[0]), 0).should.equal(0);
+                rows.reduce((total, row)=>(total+row[1]), 0).should.be.approximately(0, 1e-6);
+            });
+            holdings(S, 3).map((row)=>(row.slice(0,2))).should.deepEqual(S.pool.agents.map((A)=>([A.inventory.X, A.inventory.money])));
+        });
+        it('profits should sum to each agent\'s final wealth', function(){
+            let final = holdings(S, 3).map((row)=>(row[2]));
+            S.pool.agents.forEach(function(A, i){
+                let total = S.logs.profit.data.slice(1).filter((row)=>(row[1]===A.id)).reduce((sum, row)=>(sum+row[4]), 0);
+                total.should.be.approximately(final[i], 1e-6);
+            });
+        });
+        it('the effalloc log should report the efficiency of each period in which gains from trade remained', function(){
+            S.logs.effalloc.data.length.should.be.above(1);
+            S.logs.effalloc.data[1][0].should.equal(1);
+            S.logs.effalloc.data.slice(1).forEach(function(row){
+                row[1].should.be.within(0, 100);
+            });
+            S.periodStats.map((stats)=>(stats.typeProfit[0].surplusShare)).filter((share)=>(share!==undefined)).length.should.equal(S.logs.effalloc.data.length-1);
+        });
+    });
+    describe('with carryInventory, efficiency over the units remaining each period', function(){
+        let S = new Simulation(Object.assign({}, configAsset, {carryInventory:true}));
+        function trade(buyerId, sellerId, price){
+            S.period++;
+            S.applySchedule();
+            S.pool.initPeriod(S.period);
+            S.xMarket.clear();
+            [{id:buyerId, q:1, buyPrice:price}, {id:sellerId, q:1, sellPrice:price}].forEach(function(order){
+                S.xMarket.submit(MEC.oa(Object.assign({t:1000+S.period}, order)));
+                while(S.xMarket.process()){} // eslint-disable-line no-empty
+            });
+            S.pool.endPeriod();
+            S.logPeriod();
+        }
+        function agentWithUnit(table, unit){
+            return S.pool.agents.find((A)=>(A[table].X && (A[table].X[0]===unit))).id;
+        }
+        trade(agentWithUnit('values', 150), agentWithUnit('costs', 20), 100);
+        trade(agentWithUnit('values', 120), agentWithUnit('costs', 40), 80);
+        it('should measure the first period against the gains from all units', function(){
+            S.logs.effalloc.data[1].should.deepEqual([1,52,52,0]);
+        });
+        it('should measure later periods against the gains from the units not yet traded', function(){
+            S.logs.effalloc.data[2][0].should.equal(2);
+            S.logs.effalloc.data[2][1].should.be.approximately(100*80/120, 1e-6);
+            S.periodStats[1].typeProfit.map((group)=>(group.surplusShare)).reduce((total, share)=>(total+share), 0).should.be.approximately(100*80/120, 1e-6);
+        });
+        it('should find the competitive equilibrium of each period among the same units', function(){
+            S.logs.equilibrium.data.slice(1).map((row)=>(row.slice(0,4))).should.deepEqual([[1,60,100,3],[2,60,100,2]]);
+        });
+    });
+    describe('with carryInventory, endowments and HumanAgents without values or costs', function(){
+        let S = new Simulation(configHumans);
+        let [buyer, seller] = S.pool.agents;
+        S.period = 1;
+        S.pool.initPeriod(1);
+        S.xMarket.clear();
+        S.submitAgentOrder(seller, {sellPrice:30}, 1001);
+        S.submitAgentOrder(buyer, {buyPrice:30}, 1002);
+        S.submitAgentOrder(seller, {sellPrice:40}, 1003);
+        it('should limit bids to the money on hand', function(){
+            (()=>(S.submitAgentOrder(buyer, {buyPrice:80}, 1004))).should.throw("order from agent 1: buyPrice 80 exceeds the money 70 on hand");
+        });
+        it('should limit asks to the units on hand', function(){
+            S.submitAgentOrder(buyer, {buyPrice:40}, 1005);
+            (()=>(S.submitAgentOrder(seller, {sellPrice:50}, 1006))).should.throw("order from agent 2: no units left to sell");
+        });
+        it('should carry holdings into the next period', function(){
+            S.pool.endPeriod();
+            S.logPeriod();
+            holdings(S, 1).should.deepEqual([[2,30,30],[0,70,70]]);
+            S.logs.profit.data.slice(1).map((row)=>(row[4])).should.deepEqual([-70,70]);
+            S.period = 2;
+            S.pool.initPeriod(2);
+            buyer.inventory.should.deepEqual({X:2, money:30});
+            seller.inventory.should.deepEqual({X:0, money:70});
+            S.submitAgentOrder(buyer, {sellPrice:45}, 2001).should.have.properties({period:2, id:1, sellPrice:45});
+        });
+    });
+});
+
+describe('dividend-paying asset market', function(){
+    const {validateConfig} = singleMarketRobotSimulator;
+    let configSSW = {
+        L:1,
+        H:300,
+        carryInventory: true,
+        dividends: [0,8,28,60],
+        numberOfBuyers: 3,
+        numberOfSellers: 3,
+        buyerEndowment: {money:500},
+        sellerEndowment: {X:3, money:100},
+        buyerAgentType: ["ZIAgent"],
+        sellerAgentType: ["ZIAgent"],
+        periods: 5,
+        seed: 11,
+        silent: true
+    };
+    it('validateConfig should require carryInventory and periods with dividends', function(){
+        validateConfig(configSSW).should.deepEqual([]);
+        validateConfig(Object.assign({}, configSSW, {carryInventory: false, buyerValues:[1], sellerCosts:[1], periods: undefined})).should.deepEqual([
+            'config.carryInventory: expected true with config.dividends',
+            'config.periods: required with config.dividends'
+        ]);
+        validateConfig(Object.assign({}, configSSW, {dividends: []})).should.deepEqual(['config.dividends: expected at least 1 item(s)']);
+    });
+    it('fundamentalValue should be the expected remaining dividends, 0 after expiry, and undefined without dividends', function(){
+        let S = new Simulation(configSSW);
+        S.fundamentalValue().should.equal(120);
+        S.fundamentalValue(1).should.equal(120);
+        S.fundamentalValue(5).should.equal(24);
+        S.fundamentalValue(6).should.equal(0);
+        assert.ok(new Simulation(Object.assign({}, configSSW, {dividends: undefined})).fundamentalValue(1)===undefined);
+    });
+    describe('a seeded run of 5 periods with robots', function(){
+        let S = new Simulation(Object.assign({}, configSSW, {journal: true})).run({sync:true});
+        let bubble = S.logs.bubble.data.slice(1);
+        let holdings = S.logs.holdings.data.slice(1);
+        it('should trade, with the fundamental value in the ohlc log', function(){
+            S.logs.trade.data.length.should.be.above(5);
+            S.logs.ohlc.data.slice(1).forEach((row)=>(row[9].should.equal(24*(6-row[0]))));
+        });
+        it('should pay each period\'s dividend on every unit held, keeping money on hand and units non-negative', function(){
+            bubble.map((row)=>(row[0])).should.deepEqual([1,2,3,4,5]);
+            let dividends = bubble.map((row)=>(row[2]));
+            dividends.forEach((d)=>(configSSW.dividends.should.containEql(d)));
+            let paid = 9*dividends.reduce((total, d)=>(total+d), 0);
+            holdings.filter((row)=>(row[0]===5)).reduce((total, row)=>(total+row[5]), 0).should.be.approximately(1800+paid, 1e-6);
+            holdings.forEach(function(row){
+                row[4].should.be.aboveOrEqual(0);
+                row[5].should.be.aboveOrEqual(0);
+            });
+        });
+        it('should value units at the fundamental value, worthless after the last period', function(){
+            holdings.filter((row)=>(row[0]===4)).forEach((row)=>(row[6].should.be.approximately(row[5]+24*row[4], 1e-6)));
+            holdings.filter((row)=>(row[0]===5)).forEach((row)=>(row[6].should.equal(row[5])));
+        });
+        it('the bubble log should report turnover, RAD and RD from the mean prices', function(){
+            let traded = S.logs.ohlc.data.slice(1).map((row)=>([row[7], row[9]]));
+            let averageValue = traded.reduce((total, [, value])=>(total+value), 0)/traded.length;
+            let last = bubble[4];
+            last[1].should.equal(24);
+            last[5].should.equal(last[4]/9);
+            last[6].should.be.approximately(traded.reduce((total, [price, value])=>(total+Math.abs(price-value)), 0)/traded.length/averageValue, 1e-9);
+            last[7].should.be.approximately(traded.reduce((total, [price, value])=>(total+price-value), 0)/traded.length/averageValue, 1e-9);
+            bubble.forEach((row, i)=>(row[4].should.equal(S.periodStats[i].volume)));
+        });
+        it('replay() of the journal should pay the same dividends and reproduce the logs', function(){
+            let R = new Simulation(Object.assign({}, configSSW, {seed: 99})).replay(S.journal);
+            ['trade','ohlc','holdings','bubble'].forEach((name)=>(R.logs[name].data.should.deepEqual(S.logs[name].data)));
+        });
+    });
+});
+
+describe('ZIPAgent', function(){
+    const {ZIPAgent, validateConfig, configSchema} = singleMarketRobotSimulator;
+    let configZIP = {
+        L:1,
+        H:200,
+        buyerValues: [150,140,130,120,110,100,90,80],
+        sellerCosts: [30,40,50,60,70,80,90,100],
+        buyerAgentType: ["ZIPAgent"],
+        sellerAgentType: ["ZIPAgent"],
+        periods: 5,
+        seed: 3,
+        silent: true
+    };
+    function zipAgent(options){
+        let A = new ZIPAgent(Object.assign({learningRate:0.5, momentum:0, minPrice:1, maxPrice:200, inventory:{X:0, money:0}}, options));
+        A.random = ()=>(0);
+        return A;
+    }
+    it('should be registered as an agent type, with zip learning parameters checked by validateConfig', function(){
+        configSchema.items.properties.buyerAgentType.items.enum.should.containEql('ZIPAgent');
+        configSchema.items.properties.sellerAgentType.items.enum.should.containEql('ZIPAgent');
+        validateConfig(Object.assign({}, configZIP, {zip:{learningRate:0.3, momentum:0.05}})).should.deepEqual([]);
+        validateConfig(Object.assign({}, configZIP, {zip:{learningRate:0, momentum:1}})).should.deepEqual([
+            'config.zip.learningRate: expected a number greater than 0 and at most 1, got 0',
+            'config.zip.momentum: expected a number from 0 up to, but not including, 1, got 1'
+        ]);
+    });
+    it('a buyer should raise its bid after higher bids and lower it after trades below its bid', function(){
+        let A = zipAgent({values:{X:[100]}});
+        A.bidPrice(100).should.equal(95);
+        A.observe({side:'sell', price:80});
+        A.bidPrice(100).should.equal(95);
+        A.observe({side:'buy', price:98});
+        A.bidPrice(100).should.be.approximately(96.5, 1e-9);
+        A.observe({side:'sell', price:90, tradePrice:90});
+        A.bidPrice(100).should.be.approximately(93.25, 1e-9);
+        A.inventory.X = 1;
+        A.observe({side:'buy', price:99});
+        A.buyMargin.should.be.approximately(-0.0675, 1e-9);
+    });
+    it('a seller should raise its ask after trades above it, and lower it after lower asks, but not below its cost', function(){
+        let A = zipAgent({costs:{X:[50]}});
+        A.askPrice(50).should.equal(52.5);
+        A.observe({side:'buy', price:60, tradePrice:60});
+        A.askPrice(50).should.be.approximately(56.25, 1e-9);
+        A.observe({side:'sell', price:54});
+        A.askPrice(50).should.be.approximately(55.125, 1e-9);
+        A.observe({side:'sell', price:10});
+        A.askPrice(50).should.equal(50);
+    });
+    it('momentum should carry part of the previous adjustment into the next', function(){
+        let A = zipAgent({values:{X:[100]}, momentum:0.5});
+        A.bidPrice(100);
+        A.observe({side:'buy', price:99});
+        A.bidPrice(100).should.be.approximately(96, 1e-9);
+        A.observe({side:'buy', price:100});
+        A.bidPrice(100).should.be.approximately(97.5, 1e-9);
+    });
+    describe('in a seeded simulation', function(){
+        let S = new Simulation(Object.assign({}, configZIP, {zip:{learningRate:0.3}})).run({sync:true});
+        it('every ZIPAgent should be a learner, with the configured learning rate and its own momentum', function(){
+            S.learners.should.deepEqual(S.pool.agents);
+            S.pool.agents.forEach(function(A){
+                A.learningRate.should.equal(0.3);
+                A.momentum.should.be.within(0, 0.1);
+            });
+        });
+        it('buyers and sellers should have adapted their margins, and traded efficiently', function(){
+            S.pool.agents.filter((A)=>(A.role==='buyer')).forEach((A)=>(A.buyMargin.should.be.within(-1, 0)));
+            S.pool.agents.filter((A)=>(A.role==='seller')).forEach((A)=>(A.sellMargin.should.be.aboveOrEqual(0)));
+            S.periodStats.forEach((stat)=>(stat.efficiencyOfAllocation.should.be.above(80)));
+        });
+        it('should be reproducible with the same seed', function(){
+            let T = new Simulation(Object.assign({}, configZIP, {zip:{learningRate:0.3}})).run({sync:true});
+            T.logs.trade.data.should.deepEqual(S.logs.trade.data);
+        });
+    });
+});